@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+/**
+ * I2E Fetch OCR Engine (command line)
+ * Installs the pinned Tesseract.js engine and language models into assets/ocr/ (see README, OCR for Scanned Invoices)
+ *
+ * Usage: node cli/fetch-ocr-engine.js [--registry <url>]
+ *
+ * @version 1.0
+ * @author I2E Development Team
+ * @requires Node.js 18+ (fetch), access to the npm registry or a mirror of it
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+// ===== CONFIGURATION =====
+
+const OCR_DIR = path.join(__dirname, '..', 'assets', 'ocr');
+
+const DEFAULT_REGISTRY = 'https://registry.npmjs.org';
+
+// Pinned npm packages: the tarball must match the registry's sha512 integrity, or nothing is installed.
+// Update version and integrity together (npm view <name>@<version> dist.integrity).
+const OCR_PACKAGES = [
+    {
+        name: 'tesseract.js',
+        version: '5.1.1',
+        integrity: 'sha512-lzVl/Ar3P3zhpUT31NjqeCo1f+D5+YfpZ5J62eo2S14QNVOmHBTtbchHm/YAbOOOzCegFnKf4B3Qih9LuldcYQ==',
+        files: {
+            'dist/tesseract.min.js': 'tesseract.min.js',
+            'dist/worker.min.js': 'worker.min.js'
+        }
+    },
+    {
+        name: 'tesseract.js-core',
+        version: '5.1.1',
+        integrity: 'sha512-KX3bYSU5iGcO1XJa+QGPbi+Zjo2qq6eBhNjSGR5E5q0JtzkoipJKOUQD7ph8kFyteCEfEQ0maWLu8MCXtvX5uQ==',
+        files: {
+            'tesseract-core.wasm.js': 'core/tesseract-core.wasm.js',
+            'tesseract-core-simd.wasm.js': 'core/tesseract-core-simd.wasm.js',
+            'tesseract-core-lstm.wasm.js': 'core/tesseract-core-lstm.wasm.js',
+            'tesseract-core-simd-lstm.wasm.js': 'core/tesseract-core-simd-lstm.wasm.js'
+        }
+    },
+    {
+        name: '@tesseract.js-data/deu',
+        version: '1.0.0',
+        integrity: 'sha512-3ter1p2gFAiCd5CMC+PodZ9YY2UDomkKj+ytlKeeZqOUmhLx1SDnYPf5zog0g5MBbxYveW+8omI3PUflqHfZ4Q==',
+        files: {
+            '4.0.0_best_int/deu.traineddata.gz': 'lang/deu.traineddata.gz'
+        }
+    },
+    {
+        name: '@tesseract.js-data/eng',
+        version: '1.0.0',
+        integrity: 'sha512-mbTumm6KQPUHyzTPQaF3ObXYnx0SqqfV2nabqFVQBwD6Kl7PhGSLSzOlfFTWy0P3BjghaSKA2W9GB19Jk+ZcTg==',
+        files: {
+            '4.0.0_best_int/eng.traineddata.gz': 'lang/eng.traineddata.gz'
+        }
+    }
+];
+
+const USAGE = `Usage: node cli/fetch-ocr-engine.js [--registry <url>]
+
+Downloads the pinned Tesseract.js engine and deu / eng language models from the npm registry,
+checks each package against its pinned sha512 integrity and installs the files into assets/ocr/.
+
+Options:
+      --registry <url>    npm registry or mirror to download from (default: ${DEFAULT_REGISTRY})
+  -h, --help              Show this help
+
+Exit code: 0 when every file was installed, 1 when a download or integrity check failed, 2 on invalid arguments.`;
+
+// ===== PACKAGES =====
+
+/**
+ * Build the tarball URL of a package version, as the npm registry serves it
+ * @param {string} registry - Registry base URL
+ * @param {Object} pkg - Entry of OCR_PACKAGES
+ * @returns {string} Tarball URL
+ */
+function getTarballUrl(registry, pkg) {
+    const baseName = pkg.name.split('/').pop();
+    return `${registry.replace(/\/+$/, '')}/${pkg.name}/-/${baseName}-${pkg.version}.tgz`;
+}
+
+/**
+ * Download a package tarball and check it against the pinned integrity
+ * @param {string} registry - Registry base URL
+ * @param {Object} pkg - Entry of OCR_PACKAGES
+ * @returns {Promise<Buffer>} The verified .tgz
+ */
+async function downloadPackage(registry, pkg) {
+    const url = getTarballUrl(registry, pkg);
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`${pkg.name}@${pkg.version}: ${url} returned ${response.status}`);
+    }
+
+    const tarball = Buffer.from(await response.arrayBuffer());
+    const [algorithm, expected] = pkg.integrity.split(/-(.*)/s);
+    const actual = crypto.createHash(algorithm).update(tarball).digest('base64');
+    if (actual !== expected) {
+        throw new Error(`${pkg.name}@${pkg.version}: integrity mismatch (expected ${pkg.integrity}, got ${algorithm}-${actual})`);
+    }
+    return tarball;
+}
+
+/**
+ * Read the regular files of a gzipped tar archive (npm package layout, paths below package/)
+ * @param {Buffer} tarball - .tgz contents
+ * @returns {Map<string, Buffer>} File contents by path without the package/ prefix
+ */
+function readTarball(tarball) {
+    const archive = zlib.gunzipSync(tarball);
+    const files = new Map();
+    const field = (offset, length) => archive.toString('utf8', offset, offset + length).replace(/\0.*$/s, '');
+
+    let offset = 0;
+    while (offset + 512 <= archive.length) {
+        const name = field(offset, 100);
+        if (!name) break;
+
+        const size = parseInt(field(offset + 124, 12).trim() || '0', 8);
+        const type = field(offset + 156, 1);
+        const prefix = field(offset + 345, 155);
+        const fullName = prefix ? `${prefix}/${name}` : name;
+
+        if (type === '0' || type === '') {
+            files.set(fullName.replace(/^[^/]+\//, ''), archive.subarray(offset + 512, offset + 512 + size));
+        }
+        offset += 512 + Math.ceil(size / 512) * 512;
+    }
+    return files;
+}
+
+/**
+ * Install the listed files of a verified package into assets/ocr/
+ * @param {Object} pkg - Entry of OCR_PACKAGES
+ * @param {Buffer} tarball - Verified .tgz
+ * @returns {Array<string>} Installed paths relative to assets/ocr/
+ */
+function installPackageFiles(pkg, tarball) {
+    const contents = readTarball(tarball);
+
+    return Object.entries(pkg.files).map(([source, target]) => {
+        const data = contents.get(source);
+        if (!data) {
+            throw new Error(`${pkg.name}@${pkg.version}: ${source} is not in the package`);
+        }
+        const targetPath = path.join(OCR_DIR, target);
+        fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+        fs.writeFileSync(targetPath, data);
+        return target;
+    });
+}
+
+// ===== MAIN =====
+
+/**
+ * Fetch and install all pinned OCR packages
+ * @param {Array<string>} args - process.argv without node and script
+ * @returns {Promise<number>} Exit code
+ */
+async function main(args) {
+    let registry = DEFAULT_REGISTRY;
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '-h' || args[i] === '--help') {
+            process.stdout.write(USAGE + '\n');
+            return 0;
+        }
+        if (args[i] === '--registry' && args[i + 1] && !args[i + 1].startsWith('-')) {
+            registry = args[++i];
+            continue;
+        }
+        process.stderr.write(`fetch-ocr-engine: ${args[i] === '--registry' ? '--registry needs a value' : `unknown option ${args[i]}`}\n\n${USAGE}\n`);
+        return 2;
+    }
+
+    // Download and verify everything first, so a failed check leaves assets/ocr/ untouched
+    const tarballs = [];
+    for (const pkg of OCR_PACKAGES) {
+        process.stderr.write(`Downloading ${pkg.name}@${pkg.version}\n`);
+        tarballs.push(await downloadPackage(registry, pkg));
+    }
+
+    OCR_PACKAGES.forEach((pkg, index) => {
+        installPackageFiles(pkg, tarballs[index]).forEach(file => process.stderr.write(`  assets/ocr/${file}\n`));
+    });
+    process.stderr.write(`Installed the OCR engine in ${OCR_DIR}\n`);
+    return 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(exitCode => {
+        process.exitCode = exitCode;
+    }, error => {
+        process.stderr.write(`fetch-ocr-engine: ${error.message}\n`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { main, getTarballUrl, readTarball, OCR_PACKAGES };
@@ -0,0 +1,371 @@
+#!/usr/bin/env node
+/**
+ * I2E Extract (command line)
+ * Headless invoice extraction: a folder of PDF / XML invoices to line-item JSON or the Excel workbook
+ *
+ * Usage: node cli/i2e-extract.js <folder|file>... [options]   (--help lists the options)
+ *
+ * @version 1.0
+ * @author I2E Development Team
+ * @requires Node.js 18+, pdfjs-dist 3.11.174, exceljs (for .xlsx output), @xmldom/xmldom (for .xml invoices)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// ===== CONFIGURATION =====
+
+const SHARED_DIR = path.join(__dirname, '..', 'shared');
+
+// Loaded in the same order as the <script> tags of the processor
+const SHARED_MODULES = [
+    'i2e-common.js',
+    'supplier-templates.js',
+    'invoice-locale.js',
+    'cost-type-rules.js',
+    'supplier-registry.js',
+    'duplicate-detector.js',
+    'xml-invoice-parser.js',
+    'pdf-extractor.js',
+    'excel-exporter.js'
+];
+
+const INVOICE_FILE_PATTERN = /\.(pdf|xml)$/i;
+
+const INSTALL_HINT = 'npm install --no-save pdfjs-dist@3.11.174 exceljs @xmldom/xmldom';
+
+const USAGE = `Usage: node cli/i2e-extract.js <folder|file>... [options]
+
+Extracts line items from PDF and UBL / CII XML invoices, like the Invoice Processor.
+
+Options:
+  -o, --out <file>        Write to a file: .xlsx writes the Excel workbook, anything else JSON
+                          (default: JSON on stdout)
+  -r, --recursive         Include invoices in subfolders
+      --locale <locale>   Number and date format of all invoices (${Object.keys(require(path.join(SHARED_DIR, 'invoice-locale.js')).INVOICE_LOCALES).join(', ')});
+                          supplier template or detection when omitted
+      --templates <file>  JSON array of supplier templates (localStorage "i2e_supplier_templates")
+      --rules <file>      JSON array of cost type rules (localStorage "i2e_cost_type_rules")
+      --suppliers <file>  JSON array of registered suppliers (IndexedDB "i2e_supplier_registry")
+      --fields <a,b,...>  Workbook columns (default: all export fields)
+  -v, --verbose           Print the extractor log on stderr
+  -h, --help              Show this help
+
+Exit code: 0 when every file was extracted, 1 when some failed, 2 on invalid arguments.`;
+
+// ===== ARGUMENTS =====
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} args - process.argv without node and script
+ * @returns {Object} { inputs, out, recursive, locale, templates, rules, suppliers, fields, verbose, help }
+ */
+function parseArguments(args) {
+    const options = {
+        inputs: [],
+        out: null,
+        recursive: false,
+        locale: null,
+        templates: null,
+        rules: null,
+        suppliers: null,
+        fields: null,
+        verbose: false,
+        help: false
+    };
+
+    const valueOf = (index, flag) => {
+        const value = args[index + 1];
+        if (value === undefined || value.startsWith('-')) {
+            throw new Error(`${flag} needs a value`);
+        }
+        return value;
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        switch (arg) {
+            case '-o':
+            case '--out':
+                options.out = valueOf(i++, arg);
+                break;
+            case '-r':
+            case '--recursive':
+                options.recursive = true;
+                break;
+            case '--locale':
+                options.locale = valueOf(i++, arg);
+                break;
+            case '--templates':
+                options.templates = valueOf(i++, arg);
+                break;
+            case '--rules':
+                options.rules = valueOf(i++, arg);
+                break;
+            case '--suppliers':
+                options.suppliers = valueOf(i++, arg);
+                break;
+            case '--fields':
+                options.fields = valueOf(i++, arg).split(',').map(field => field.trim()).filter(Boolean);
+                break;
+            case '-v':
+            case '--verbose':
+                options.verbose = true;
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('-')) throw new Error(`Unknown option ${arg}`);
+                options.inputs.push(arg);
+        }
+    }
+
+    return options;
+}
+
+// ===== ENVIRONMENT =====
+
+/**
+ * Require an optional npm package
+ * @param {string} name - Package name
+ * @returns {Object|null} Module, or null when it is not installed
+ */
+function requireOptional(name) {
+    try {
+        return require(name);
+    } catch (error) {
+        if (error.code === 'MODULE_NOT_FOUND') return null;
+        throw error;
+    }
+}
+
+/**
+ * Provide the browser globals the shared scripts expect (pdfjsLib, ExcelJS, DOMParser, crypto) and load
+ * the shared scripts into the global scope, where they find each other as in the browser
+ * @param {Object} needs - { pdf, xml, excel } - which libraries the run needs
+ */
+function setUpEnvironment(needs) {
+    const libraries = [
+        { needed: needs.pdf, name: 'pdfjs-dist', module: 'pdfjs-dist/legacy/build/pdf.js', install: value => { global.pdfjsLib = value; } },
+        { needed: needs.xml, name: '@xmldom/xmldom', module: '@xmldom/xmldom', install: value => { global.DOMParser = value.DOMParser; } },
+        { needed: needs.excel, name: 'exceljs', module: 'exceljs', install: value => { global.ExcelJS = value; } }
+    ];
+
+    libraries.filter(library => library.needed).forEach(library => {
+        const value = requireOptional(library.module);
+        if (!value) {
+            throw new Error(`Missing dependency "${library.name}" - install with: ${INSTALL_HINT}`);
+        }
+        library.install(value);
+    });
+
+    // Content hashes use Web Crypto, a global only from Node.js 19 on
+    if (typeof crypto === 'undefined') {
+        global.crypto = require('crypto').webcrypto;
+    }
+
+    SHARED_MODULES.forEach(file => Object.assign(global, require(path.join(SHARED_DIR, file))));
+}
+
+/**
+ * Route console output of the extractor: stdout is reserved for the JSON result
+ * @param {boolean} verbose - Print the extractor log on stderr instead of dropping it
+ */
+function redirectConsole(verbose) {
+    const toStderr = (...args) => process.stderr.write(args.map(arg =>
+        typeof arg === 'string' ? arg : require('util').inspect(arg, { depth: 3 })
+    ).join(' ') + '\n');
+    const silent = () => {};
+
+    console.log = verbose ? toStderr : silent;
+    console.info = verbose ? toStderr : silent;
+    console.warn = verbose ? toStderr : silent;
+    console.error = verbose ? toStderr : silent;
+}
+
+/**
+ * Read a JSON array (supplier templates, cost type rules or suppliers)
+ * @param {string} filePath - JSON file
+ * @param {string} label - What the file contains, for error messages
+ * @returns {Array} Parsed array
+ */
+function readJsonArray(filePath, label) {
+    const value = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!Array.isArray(value)) {
+        throw new Error(`${label} file ${filePath} must contain a JSON array`);
+    }
+    return value;
+}
+
+// ===== FILES =====
+
+/**
+ * Collect the invoice files of the given folders and files
+ * @param {Array<string>} inputs - Folders and files
+ * @param {boolean} recursive - Include subfolders
+ * @returns {Array<string>} File paths, sorted by name per folder
+ */
+function collectInvoiceFiles(inputs, recursive) {
+    const files = [];
+
+    inputs.forEach(input => {
+        if (!fs.existsSync(input)) {
+            throw new Error(`No such file or folder: ${input}`);
+        }
+
+        if (!fs.statSync(input).isDirectory()) {
+            files.push(input);
+            return;
+        }
+
+        fs.readdirSync(input, { withFileTypes: true })
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .forEach(entry => {
+                const entryPath = path.join(input, entry.name);
+                if (entry.isDirectory()) {
+                    if (recursive) files.push(...collectInvoiceFiles([entryPath], true));
+                } else if (INVOICE_FILE_PATTERN.test(entry.name)) {
+                    files.push(entryPath);
+                }
+            });
+    });
+
+    return files;
+}
+
+/**
+ * Wrap a file on disk in the File interface the extractor uses (name, type, arrayBuffer, text)
+ * @param {string} filePath - PDF or XML file
+ * @returns {Object} File-like object
+ */
+function createInvoiceFile(filePath) {
+    const name = path.basename(filePath);
+    return {
+        name: name,
+        type: /\.xml$/i.test(name) ? 'application/xml' : 'application/pdf',
+        size: fs.statSync(filePath).size,
+        arrayBuffer: async () => {
+            const buffer = await fs.promises.readFile(filePath);
+            return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+        },
+        text: () => fs.promises.readFile(filePath, 'utf8')
+    };
+}
+
+// ===== MAIN =====
+
+/**
+ * Run the command line tool
+ * @param {Array<string>} args - process.argv without node and script
+ * @returns {Promise<number>} Exit code
+ */
+async function main(args) {
+    let options;
+    let filePaths;
+
+    try {
+        options = parseArguments(args);
+        if (options.help) {
+            process.stdout.write(USAGE + '\n');
+            return 0;
+        }
+        if (options.inputs.length === 0) {
+            throw new Error('No folder or file given');
+        }
+
+        filePaths = collectInvoiceFiles(options.inputs, options.recursive);
+        const writesWorkbook = !!options.out && /\.xlsx$/i.test(options.out);
+
+        redirectConsole(options.verbose);
+        setUpEnvironment({
+            pdf: filePaths.some(filePath => /\.pdf$/i.test(filePath)),
+            xml: filePaths.some(filePath => /\.xml$/i.test(filePath)),
+            excel: writesWorkbook
+        });
+
+        if (options.locale && !INVOICE_LOCALES[options.locale]) {
+            throw new Error(`Unknown locale ${options.locale} (use ${Object.keys(INVOICE_LOCALES).join(', ')})`);
+        }
+
+        if (options.templates) {
+            readJsonArray(options.templates, 'Templates').forEach(template => {
+                if (!registerSupplierTemplate(template)) {
+                    throw new Error(`Invalid supplier template in ${options.templates}: ${JSON.stringify(template.id || template)}`);
+                }
+            });
+        }
+
+        if (options.rules) {
+            const rules = readJsonArray(options.rules, 'Rules');
+            const errors = validateCostTypeRules(rules);
+            if (errors.length > 0) {
+                throw new Error(`Invalid cost type rules in ${options.rules}:\n  ${errors.join('\n  ')}`);
+            }
+            setCostTypeRules(rules);
+        }
+
+        if (options.suppliers) {
+            const suppliers = readJsonArray(options.suppliers, 'Suppliers');
+            const errors = validateSupplierRegistry(suppliers);
+            if (errors.length > 0) {
+                throw new Error(`Invalid suppliers in ${options.suppliers}:\n  ${errors.join('\n  ')}`);
+            }
+            setSupplierRegistry(suppliers);
+        }
+
+        if (writesWorkbook && options.fields) {
+            const validation = validateFieldSelection(options.fields, getAllAvailableFields());
+            if (!validation.valid) {
+                throw new Error(validation.errors.join('; '));
+            }
+        }
+
+    } catch (error) {
+        process.stderr.write(`i2e-extract: ${error.message}\n\n${USAGE}\n`);
+        return 2;
+    }
+
+    // Extract file by file; a broken file is reported and skipped
+    const lineItems = [];
+    const failedFiles = [];
+
+    for (const filePath of filePaths) {
+        try {
+            const invoiceData = await extractDataFromInvoiceFile(createInvoiceFile(filePath), { locale: options.locale });
+            lineItems.push(...invoiceData);
+            process.stderr.write(`✓ ${filePath}: ${invoiceData.length} line item(s)\n`);
+        } catch (error) {
+            failedFiles.push(filePath);
+            process.stderr.write(`✗ ${filePath}: ${error.message}\n`);
+        }
+    }
+
+    // Write JSON or the workbook of the processor's Excel export
+    if (options.out && /\.xlsx$/i.test(options.out)) {
+        const fields = options.fields || Object.keys(getAllAvailableFields());
+        const workbook = await createWorkbookWithFields(lineItems, fields, getAllAvailableFields());
+        await workbook.xlsx.writeFile(options.out);
+    } else if (options.out) {
+        fs.writeFileSync(options.out, JSON.stringify(lineItems, null, 2) + '\n');
+    } else {
+        process.stdout.write(JSON.stringify(lineItems, null, 2) + '\n');
+    }
+
+    process.stderr.write(`Extracted ${lineItems.length} line item(s) from ${filePaths.length - failedFiles.length} of ${filePaths.length} file(s)` +
+        (options.out ? ` to ${options.out}` : '') + '\n');
+
+    return failedFiles.length > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(exitCode => {
+        process.exitCode = exitCode;
+    }, error => {
+        process.stderr.write(`i2e-extract: ${error.stack || error.message}\n`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { main, parseArguments, collectInvoiceFiles, createInvoiceFile, setUpEnvironment, redirectConsole };
@@ -0,0 +1,308 @@
+/**
+ * I2E Approval Policies
+ * Configurable approval chain (e.g. project manager, then controller above a threshold) and the
+ * sign-off steps an invoice needs before it is approved
+ *
+ * @version 1.0
+ * @author I2E Development Team
+ * @requires i2e-common.js for localStorage helpers
+ */
+
+// ===== POLICY CONFIGURATION =====
+
+/**
+ * Default approval policy: every invoice needs the project manager, invoices above 25,000 EUR
+ * and credit notes also need the controller.
+ *
+ * Policy format:
+ * {
+ *     currency: 'EUR',                   // Currency of the amount thresholds
+ *     separateApprovers: true,           // One user signs off at most one step of an invoice
+ *     steps: [
+ *         {
+ *             id: 'controller',
+ *             name: 'Controller',
+ *             enabled: true,
+ *             requiredWhen: {
+ *                 amountAbove: 25000,    // Invoice total (absolute, credit notes included) above this amount
+ *                 creditNote: true       // Invoice is a credit note
+ *             }
+ *         }
+ *     ]
+ * }
+ *
+ * Steps are signed off in policy order. A step without conditions is required for every invoice; a step
+ * with conditions is required when any of them holds. Invoices in another currency than the policy's
+ * cannot be compared with the threshold and need the step.
+ */
+const DEFAULT_APPROVAL_POLICY = {
+    currency: 'EUR',
+    separateApprovers: true,
+    steps: [
+        {
+            id: 'project-manager',
+            name: 'Project manager',
+            enabled: true,
+            requiredWhen: {}
+        },
+        {
+            id: 'controller',
+            name: 'Controller',
+            enabled: true,
+            requiredWhen: { amountAbove: 25000, creditNote: true }
+        }
+    ]
+};
+
+// Step conditions and how each one is checked against an invoice
+const APPROVAL_STEP_CONDITIONS = {
+    amountAbove: {
+        label: 'Amount above',
+        applies: (threshold, invoice, policy) => {
+            const currency = getApprovalInvoiceCurrency(invoice);
+            return (currency && policy.currency && currency !== policy.currency) ||
+                Math.abs(getApprovalInvoiceTotal(invoice)) > threshold;
+        }
+    },
+    creditNote: {
+        label: 'Credit notes',
+        applies: (enabled, invoice) => enabled === true && isApprovalCreditNote(invoice)
+    }
+};
+
+// localStorage key for the policy edited in the validator
+const APPROVAL_POLICY_STORAGE_KEY = 'i2e_approval_policy';
+
+let approvalPolicy = null;
+
+// ===== POLICY =====
+
+/**
+ * Copy a policy so edits to the copy leave the original alone
+ * @param {Object} policy - Approval policy
+ * @returns {Object} Copy
+ */
+function copyApprovalPolicy(policy) {
+    return {
+        ...policy,
+        steps: (policy.steps || []).map(step => ({ ...step, requiredWhen: { ...step.requiredWhen } }))
+    };
+}
+
+/**
+ * Get the active approval policy (saved policy, or the default when nothing was saved)
+ * @returns {Object} Approval policy
+ */
+function getApprovalPolicy() {
+    if (!approvalPolicy) {
+        const saved = typeof localStorage !== 'undefined' && typeof loadFromLocalStorage === 'function'
+            ? loadFromLocalStorage(APPROVAL_POLICY_STORAGE_KEY, null)
+            : null;
+        approvalPolicy = saved && Array.isArray(saved.steps) ? saved : copyApprovalPolicy(DEFAULT_APPROVAL_POLICY);
+    }
+    return approvalPolicy;
+}
+
+/**
+ * Check a policy for missing steps, duplicate ids and invalid conditions
+ * @param {Object} policy - Policy to check
+ * @returns {Array<string>} Error messages, empty when the policy is valid
+ */
+function validateApprovalPolicy(policy) {
+    const errors = [];
+    const steps = policy.steps || [];
+
+    if (!steps.some(step => step.enabled !== false && Object.keys(step.requiredWhen || {}).length === 0)) {
+        errors.push('At least one enabled step must be required for every invoice (no conditions)');
+    }
+    if (policy.currency && !/^[A-Z]{3}$/.test(policy.currency)) {
+        errors.push('Currency must be a 3-letter code like EUR');
+    }
+
+    steps.forEach((step, index) => {
+        const label = `Step ${index + 1}${step.name ? ` (${step.name})` : ''}`;
+        if (!step.name || !step.name.trim()) {
+            errors.push(`${label}: name is required`);
+        }
+        if (!step.id) {
+            errors.push(`${label}: id is required`);
+        } else if (steps.findIndex(other => other.id === step.id) !== index) {
+            errors.push(`${label}: id "${step.id}" is used twice`);
+        }
+        Object.entries(step.requiredWhen || {}).forEach(([condition, value]) => {
+            if (!APPROVAL_STEP_CONDITIONS[condition]) {
+                errors.push(`${label}: unknown condition "${condition}"`);
+            } else if (condition === 'amountAbove' && (typeof value !== 'number' || !isFinite(value) || value < 0)) {
+                errors.push(`${label}: amount must be a number of 0 or more`);
+            }
+        });
+    });
+
+    return errors;
+}
+
+/**
+ * Save the policy and make it the active one
+ * @param {Object} policy - Approval policy
+ * @returns {boolean} True if the policy was valid and saved
+ */
+function saveApprovalPolicy(policy) {
+    const errors = validateApprovalPolicy(policy);
+    if (errors.length > 0) {
+        console.error('saveApprovalPolicy: Invalid policy', errors);
+        return false;
+    }
+
+    approvalPolicy = policy;
+    return saveToLocalStorage(APPROVAL_POLICY_STORAGE_KEY, policy);
+}
+
+/**
+ * Drop the saved policy and go back to the default
+ * @returns {Object} Default policy
+ */
+function resetApprovalPolicy() {
+    if (typeof localStorage !== 'undefined') {
+        localStorage.removeItem(APPROVAL_POLICY_STORAGE_KEY);
+    }
+    approvalPolicy = null;
+    return getApprovalPolicy();
+}
+
+/**
+ * Create an id for a new step
+ * @returns {string} Step id
+ */
+function makeApprovalStepId() {
+    return `step-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// ===== APPROVAL STEPS =====
+
+/**
+ * Invoice total of a cache entry
+ * @param {Object} invoice - Cache entry { summary, fullInvoiceData }
+ * @returns {number} Total amount
+ */
+function getApprovalInvoiceTotal(invoice) {
+    if (invoice.summary && typeof invoice.summary.totalAmount === 'number') {
+        return invoice.summary.totalAmount;
+    }
+    const items = invoice.fullInvoiceData || [];
+    if (items.length === 0) return 0;
+    return typeof items[0].extractedInvoiceTotal === 'number'
+        ? items[0].extractedInvoiceTotal
+        : items.reduce((sum, item) => sum + (item.positionTotal || 0), 0);
+}
+
+/**
+ * Currency of a cache entry
+ * @param {Object} invoice - Cache entry
+ * @returns {string|null} Currency code
+ */
+function getApprovalInvoiceCurrency(invoice) {
+    return (invoice.summary && invoice.summary.currency) ||
+        (invoice.fullInvoiceData && invoice.fullInvoiceData[0] && invoice.fullInvoiceData[0].currency) || null;
+}
+
+/**
+ * Check whether a cache entry is a credit note
+ * @param {Object} invoice - Cache entry
+ * @returns {boolean} True for credit notes
+ */
+function isApprovalCreditNote(invoice) {
+    if (invoice.creditNote || (invoice.summary && invoice.summary.creditNote)) return true;
+    return !!(invoice.fullInvoiceData && invoice.fullInvoiceData[0] && invoice.fullInvoiceData[0].creditNote);
+}
+
+/**
+ * Get the steps that have to sign off an invoice, in policy order
+ * @param {Object} invoice - Cache entry
+ * @param {Object} policy - Approval policy, defaults to the active one
+ * @returns {Array} Steps { id, name, reasons } - reasons say why a conditional step is required
+ */
+function getRequiredApprovalSteps(invoice, policy = getApprovalPolicy()) {
+    return (policy.steps || []).reduce((required, step) => {
+        if (step.enabled === false) return required;
+
+        const conditions = Object.entries(step.requiredWhen || {})
+            .filter(([condition]) => APPROVAL_STEP_CONDITIONS[condition]);
+        if (conditions.length === 0) {
+            required.push({ id: step.id, name: step.name, reasons: [] });
+            return required;
+        }
+
+        const reasons = conditions
+            .filter(([condition, value]) => APPROVAL_STEP_CONDITIONS[condition].applies(value, invoice, policy))
+            .map(([condition, value]) => {
+                if (condition !== 'amountAbove') return APPROVAL_STEP_CONDITIONS[condition].label;
+                const currency = getApprovalInvoiceCurrency(invoice);
+                const reason = `${APPROVAL_STEP_CONDITIONS.amountAbove.label} ${value} ${policy.currency || ''}`.trim();
+                return currency && policy.currency && currency !== policy.currency ? `${reason} (invoice in ${currency})` : reason;
+            });
+        if (reasons.length > 0) {
+            required.push({ id: step.id, name: step.name, reasons: reasons });
+        }
+        return required;
+    }, []);
+}
+
+/**
+ * Work out where an invoice stands in its approval chain
+ * @param {Object} invoice - Cache entry with its sign-offs in approvals [{ step, by, date, comments }]
+ * @param {Object} policy - Approval policy, defaults to the active one
+ * @returns {Object} { steps, completed, nextStep, nextStepNumber } - nextStep is null when all steps signed off
+ */
+function getApprovalProgress(invoice, policy = getApprovalPolicy()) {
+    const steps = getRequiredApprovalSteps(invoice, policy);
+    const signedOff = new Set((invoice.approvals || []).map(approval => approval.step));
+    const nextIndex = steps.findIndex(step => !signedOff.has(step.id));
+
+    return {
+        steps: steps,
+        completed: steps.filter(step => signedOff.has(step.id)),
+        nextStep: nextIndex === -1 ? null : steps[nextIndex],
+        nextStepNumber: nextIndex === -1 ? null : nextIndex + 1
+    };
+}
+
+/**
+ * Check whether a user may sign off the next step of an invoice
+ * @param {Object} invoice - Cache entry
+ * @param {string} userId - User signing off
+ * @param {Object} policy - Approval policy, defaults to the active one
+ * @returns {string|null} Why the user may not sign off, null if they may
+ */
+function getApprovalBlocker(invoice, userId, policy = getApprovalPolicy()) {
+    if (!policy.separateApprovers) return null;
+
+    const earlier = (invoice.approvals || []).find(approval => approval.by === userId);
+    return earlier
+        ? `${userId} already signed off the ${earlier.stepName || earlier.step} step; another user has to sign off the next one`
+        : null;
+}
+
+// ===== EXPORT FOR MODULE USAGE =====
+
+// If using as a module, export functions
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getApprovalPolicy,
+        copyApprovalPolicy,
+        validateApprovalPolicy,
+        saveApprovalPolicy,
+        resetApprovalPolicy,
+        makeApprovalStepId,
+        getRequiredApprovalSteps,
+        getApprovalProgress,
+        getApprovalBlocker,
+        DEFAULT_APPROVAL_POLICY,
+        APPROVAL_STEP_CONDITIONS,
+        APPROVAL_POLICY_STORAGE_KEY
+    };
+}
+
+// Global availability for browser usage
+if (typeof window !== 'undefined') {
+    console.log(`I2E Approval Policies loaded successfully (${getApprovalPolicy().steps.length} steps)`);
+}
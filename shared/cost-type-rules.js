@@ -0,0 +1,258 @@
+/**
+ * I2E Cost Type Rules
+ * Ordered rule table that classifies line items as Internal or External cost
+ *
+ * @version 1.0
+ * @author I2E Development Team
+ * @requires i2e-common.js for localStorage helpers
+ */
+
+// ===== RULE CONFIGURATION =====
+
+/**
+ * Default rule table (the keyword checks the extractor always used).
+ *
+ * Rule format (conditions are case-insensitive regex strings, empty conditions match anything):
+ * {
+ *     id: 'consultants',
+ *     name: 'Consultants are external',
+ *     enabled: true,
+ *     match: {
+ *         material: '^9098',             // Material code
+ *         description: 'consultant',     // Position description
+ *         supplier: 'ACME',              // Supplier name, registered supplier id or supplier template id
+ *         project: 'PRO0022639'          // Project ID
+ *     },
+ *     costType: 'External'
+ * }
+ *
+ * Rules are checked in table order; the first enabled rule whose conditions all match wins.
+ */
+const DEFAULT_COST_TYPE_RULES = [
+    {
+        id: 'application-infrastructure',
+        name: 'Application / infrastructure',
+        enabled: true,
+        match: { description: 'application|infrastructure' },
+        costType: 'Internal'
+    },
+    {
+        id: 'external-services',
+        name: 'External, other, consultants, services, support',
+        enabled: true,
+        match: { description: 'external|other|consultant|service|support' },
+        costType: 'External'
+    }
+];
+
+const COST_TYPES = ['Internal', 'External'];
+
+// Cost type when no rule matches
+const DEFAULT_COST_TYPE = 'Internal';
+
+// Rule conditions and the line item value each one is matched against
+const COST_TYPE_RULE_CONDITIONS = {
+    material: { label: 'Material', value: item => item.material },
+    description: { label: 'Description', value: item => item.positionDescription },
+    supplier: { label: 'Supplier', value: item => [item.supplierName, item.supplierId, item.supplierTemplateId].filter(Boolean).join(' ') },
+    project: { label: 'Project', value: item => item.projectId }
+};
+
+// Recorded on line items whose cost type was set by hand; reclassification leaves them alone
+const MANUAL_COST_TYPE_RULE = { id: 'manual', name: 'Manual edit', order: null };
+
+// localStorage key for the rule table edited in the processor
+const COST_TYPE_RULES_STORAGE_KEY = 'i2e_cost_type_rules';
+
+let costTypeRules = null;
+
+// ===== RULE TABLE =====
+
+/**
+ * Get the active rule table (saved rules, or the defaults when nothing was saved)
+ * @returns {Array} Rules in evaluation order
+ */
+function getCostTypeRules() {
+    if (!costTypeRules) {
+        const saved = typeof localStorage !== 'undefined' && typeof loadFromLocalStorage === 'function'
+            ? loadFromLocalStorage(COST_TYPE_RULES_STORAGE_KEY, null)
+            : null;
+        costTypeRules = Array.isArray(saved) ? saved : DEFAULT_COST_TYPE_RULES.map(rule => ({ ...rule, match: { ...rule.match } }));
+    }
+    return costTypeRules;
+}
+
+/**
+ * Check a rule table for invalid patterns or cost types
+ * @param {Array} rules - Rules to check
+ * @returns {Array<string>} Error messages, empty when the table is valid
+ */
+function validateCostTypeRules(rules) {
+    const errors = [];
+
+    rules.forEach((rule, index) => {
+        const label = `Rule ${index + 1}${rule.name ? ` (${rule.name})` : ''}`;
+        if (!COST_TYPES.includes(rule.costType)) {
+            errors.push(`${label}: cost type must be ${COST_TYPES.join(' or ')}`);
+        }
+        Object.entries(rule.match || {}).forEach(([condition, pattern]) => {
+            if (!COST_TYPE_RULE_CONDITIONS[condition]) {
+                errors.push(`${label}: unknown condition "${condition}"`);
+                return;
+            }
+            try {
+                new RegExp(pattern, 'i');
+            } catch (error) {
+                errors.push(`${label}: invalid ${COST_TYPE_RULE_CONDITIONS[condition].label.toLowerCase()} pattern - ${error.message}`);
+            }
+        });
+    });
+
+    return errors;
+}
+
+/**
+ * Save the rule table and make it the active one
+ * @param {Array} rules - Rules in evaluation order
+ * @returns {boolean} True if the rules were valid and saved
+ */
+function saveCostTypeRules(rules) {
+    const errors = validateCostTypeRules(rules);
+    if (errors.length > 0) {
+        console.error('saveCostTypeRules: Invalid rules', errors);
+        return false;
+    }
+
+    costTypeRules = rules;
+    return saveToLocalStorage(COST_TYPE_RULES_STORAGE_KEY, rules);
+}
+
+/**
+ * Make a rule table active without saving it (extraction workers get the page's table this way)
+ * @param {Array} rules - Rules in evaluation order
+ */
+function setCostTypeRules(rules) {
+    costTypeRules = rules;
+}
+
+/**
+ * Drop the saved rule table and go back to the defaults
+ * @returns {Array} Default rules
+ */
+function resetCostTypeRules() {
+    if (typeof localStorage !== 'undefined') {
+        localStorage.removeItem(COST_TYPE_RULES_STORAGE_KEY);
+    }
+    costTypeRules = null;
+    return getCostTypeRules();
+}
+
+/**
+ * Create an id for a new rule
+ * @returns {string} Rule id
+ */
+function makeCostTypeRuleId() {
+    return `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// ===== CLASSIFICATION =====
+
+/**
+ * Check whether all conditions of a rule match a line item
+ * @param {Object} rule - Cost type rule
+ * @param {Object} item - Line item
+ * @returns {boolean} True if the rule applies
+ */
+function costTypeRuleMatches(rule, item) {
+    return Object.entries(rule.match || {}).every(([condition, pattern]) => {
+        if (!pattern || !COST_TYPE_RULE_CONDITIONS[condition]) return true;
+        const value = COST_TYPE_RULE_CONDITIONS[condition].value(item);
+        try {
+            return new RegExp(pattern, 'i').test(value || '');
+        } catch (error) {
+            return false;
+        }
+    });
+}
+
+/**
+ * Classify a line item with the rule table
+ * @param {Object} item - Line item (material, positionDescription, supplierName, projectId, ...)
+ * @param {Array} rules - Rules in evaluation order, defaults to the active table
+ * @returns {Object} { typeCost, typeCostRule: { id, name, order } } - order is the 1-based table position
+ */
+function classifyLineItem(item, rules = getCostTypeRules()) {
+    const index = rules.findIndex(rule => rule.enabled !== false && costTypeRuleMatches(rule, item));
+
+    if (index === -1) {
+        return {
+            typeCost: DEFAULT_COST_TYPE,
+            typeCostRule: { id: 'default', name: 'No rule matched', order: null }
+        };
+    }
+
+    const rule = rules[index];
+    return {
+        typeCost: rule.costType,
+        typeCostRule: { id: rule.id, name: rule.name || rule.id, order: index + 1 }
+    };
+}
+
+/**
+ * Classify line items in place. Items whose cost type was set by hand keep it.
+ * @param {Array} items - Line items
+ * @param {Array} rules - Rules in evaluation order, defaults to the active table
+ * @returns {number} Number of items whose cost type changed
+ */
+function applyCostTypeRules(items, rules = getCostTypeRules()) {
+    let changedCount = 0;
+
+    items.forEach(item => {
+        if (!item.positionDescription) return;
+        if (item.typeCostRule && item.typeCostRule.id === MANUAL_COST_TYPE_RULE.id) return;
+
+        const { typeCost, typeCostRule } = classifyLineItem(item, rules);
+        if (item.typeCost !== typeCost) changedCount++;
+        item.typeCost = typeCost;
+        item.typeCostRule = typeCostRule;
+    });
+
+    return changedCount;
+}
+
+/**
+ * Describe the rule that classified a line item
+ * @param {Object|null} typeCostRule - item.typeCostRule
+ * @returns {string} e.g. "#2 Consultants are external"
+ */
+function formatCostTypeRule(typeCostRule) {
+    if (!typeCostRule) return '';
+    return typeCostRule.order ? `#${typeCostRule.order} ${typeCostRule.name}` : typeCostRule.name;
+}
+
+// ===== EXPORT FOR MODULE USAGE =====
+
+// If using as a module, export functions
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getCostTypeRules,
+        validateCostTypeRules,
+        saveCostTypeRules,
+        setCostTypeRules,
+        resetCostTypeRules,
+        makeCostTypeRuleId,
+        classifyLineItem,
+        applyCostTypeRules,
+        formatCostTypeRule,
+        DEFAULT_COST_TYPE_RULES,
+        COST_TYPES,
+        COST_TYPE_RULE_CONDITIONS,
+        MANUAL_COST_TYPE_RULE,
+        COST_TYPE_RULES_STORAGE_KEY
+    };
+}
+
+// Global availability for browser usage
+if (typeof window !== 'undefined') {
+    console.log(`I2E Cost Type Rules loaded successfully (${getCostTypeRules().length} rules)`);
+}
@@ -0,0 +1,191 @@
+/**
+ * I2E Duplicate Detector
+ * Finds invoices that are probably already known under another invoice number: same file content,
+ * same supplier, amount and date, or near-identical line items
+ *
+ * @version 1.0
+ * @author I2E Development Team
+ * @requires Web Crypto (crypto.subtle) for content hashes
+ */
+
+// ===== DETECTION CONFIGURATION =====
+
+const DUPLICATE_RULES = {
+    amountTolerance: 0.01,      // Invoice totals within this difference are the same amount
+    lineItemSimilarity: 0.9,    // Share of identical line items that makes two invoices near-identical
+    minLineItems: 2             // Line item comparison needs at least this many items on both invoices
+};
+
+// Why an invoice is suspected to be a duplicate
+const DUPLICATE_REASONS = {
+    contentHash: 'Same file content',
+    supplierAmountDate: 'Same supplier, amount and date',
+    lineItems: 'Near-identical line items'
+};
+
+// ===== CONTENT HASH =====
+
+/**
+ * SHA-256 of a file's content, so a re-sent PDF is recognized under any file name
+ * @param {ArrayBuffer|string} content - File bytes (PDF) or text (XML)
+ * @returns {Promise<string|null>} Hex digest, null where Web Crypto is not available
+ */
+async function computeContentHash(content) {
+    if (typeof crypto === 'undefined' || !crypto.subtle) return null;
+
+    const bytes = typeof content === 'string' ? new TextEncoder().encode(content) : content;
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// ===== MATCHING =====
+
+/**
+ * Identify the supplier of an invoice for comparison: registered supplier, seller VAT ID or name,
+ * else the customer number the supplier gave us (it is only unique per supplier, but invoices
+ * without any supplier data are otherwise never compared)
+ * @param {Object} invoice - First line item of an invoice
+ * @returns {string|null} Comparable supplier key
+ */
+function getDuplicateSupplierKey(invoice) {
+    const compact = value => String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+    if (invoice.supplierId) return `id:${invoice.supplierId}`;
+    if (invoice.supplierVatId) return `vat:${compact(invoice.supplierVatId)}`;
+    if (invoice.supplierName) return `name:${compact(invoice.supplierName)}`;
+    if (invoice.customerId) return `customer:${compact(invoice.customerId)}`;
+    return null;
+}
+
+/**
+ * Invoice total used for comparison
+ * @param {Array} lineItems - Line items of an invoice
+ * @returns {number} Extracted total, or the sum of the line items
+ */
+function getDuplicateAmount(lineItems) {
+    const total = lineItems[0].extractedInvoiceTotal;
+    return typeof total === 'number' ? total : lineItems.reduce((sum, item) => sum + (item.positionTotal || 0), 0);
+}
+
+/**
+ * Service period of a line item for comparison: its range, else its period label
+ * @param {Object} item - Line item
+ * @returns {string} Comparable period, '' when the item has none
+ */
+function getDuplicatePeriodKey(item) {
+    if (item.servicePeriodRange && item.servicePeriodRange.start) {
+        return `${item.servicePeriodRange.start}..${item.servicePeriodRange.end}`;
+    }
+    return item.serviceProvisionPeriod && item.serviceProvisionPeriod !== 'Unknown Period' ? String(item.serviceProvisionPeriod) : '';
+}
+
+/**
+ * Share of identical line items (service period, material, description, quantity and total) of two
+ * invoices. The period keeps a fixed monthly fee from matching the invoice of the month before.
+ * @param {Array} lineItems - Line items of one invoice
+ * @param {Array} otherLineItems - Line items of the other invoice
+ * @returns {number} 0..1, relative to the longer invoice
+ */
+function compareLineItemSets(lineItems, otherLineItems) {
+    const itemKey = item => [
+        getDuplicatePeriodKey(item),
+        item.material || '',
+        String(item.positionDescription || '').toLowerCase().replace(/\s+/g, ' ').trim(),
+        Math.round((item.positionQuantity || 0) * 100),
+        Math.round((item.positionTotal || 0) * 100)
+    ].join('|');
+
+    const remaining = {};
+    otherLineItems.forEach(item => {
+        const key = itemKey(item);
+        remaining[key] = (remaining[key] || 0) + 1;
+    });
+
+    let identical = 0;
+    lineItems.forEach(item => {
+        const key = itemKey(item);
+        if (remaining[key] > 0) {
+            remaining[key]--;
+            identical++;
+        }
+    });
+
+    return identical / Math.max(lineItems.length, otherLineItems.length);
+}
+
+/**
+ * Find invoices an extracted invoice probably duplicates. Invoices with the same invoice number are
+ * not reported: they are the same invoice extracted again and replace the cached one. Pairs a
+ * reviewer marked as "not a duplicate" (duplicateReview.dismissed on either side) are not reported again.
+ * @param {Array} lineItems - Line items of the extracted invoice
+ * @param {Array} candidates - Known invoices { invoiceNumber, status, fullInvoiceData, duplicateReview }
+ * @param {Array<string>} dismissed - Invoice numbers the extracted invoice was already cleared against
+ * @returns {Array} Matches { invoiceNumber, fileName, status, reasons: [{ type, message }] }
+ */
+function findDuplicateMatches(lineItems, candidates, dismissed = []) {
+    if (!Array.isArray(lineItems) || lineItems.length === 0) return [];
+
+    const invoice = lineItems[0];
+    const supplierKey = getDuplicateSupplierKey(invoice);
+    const amount = getDuplicateAmount(lineItems);
+
+    return candidates.reduce((matches, candidate) => {
+        const otherItems = candidate.fullInvoiceData || [];
+        if (otherItems.length === 0 || candidate.invoiceNumber === invoice.invoiceNumber) return matches;
+
+        const otherDismissed = (candidate.duplicateReview && candidate.duplicateReview.dismissed) || [];
+        if (dismissed.includes(candidate.invoiceNumber) || otherDismissed.includes(invoice.invoiceNumber)) return matches;
+
+        const other = otherItems[0];
+        const reasons = [];
+
+        if (invoice.contentHash && invoice.contentHash === other.contentHash) {
+            reasons.push({ type: 'contentHash', message: `${DUPLICATE_REASONS.contentHash} as ${other.fileName || 'the cached file'}` });
+        }
+
+        const otherAmount = getDuplicateAmount(otherItems);
+        if (supplierKey && supplierKey === getDuplicateSupplierKey(other) &&
+            invoice.dateOfInvoice && invoice.dateOfInvoice === other.dateOfInvoice &&
+            !!invoice.creditNote === !!other.creditNote &&
+            Math.abs(amount - otherAmount) <= DUPLICATE_RULES.amountTolerance) {
+            reasons.push({ type: 'supplierAmountDate', message: `${DUPLICATE_REASONS.supplierAmountDate} (${amount.toFixed(2)} on ${invoice.dateOfInvoice})` });
+        }
+
+        if (lineItems.length >= DUPLICATE_RULES.minLineItems && otherItems.length >= DUPLICATE_RULES.minLineItems) {
+            const similarity = compareLineItemSets(lineItems, otherItems);
+            if (similarity >= DUPLICATE_RULES.lineItemSimilarity) {
+                reasons.push({ type: 'lineItems', message: `${DUPLICATE_REASONS.lineItems} (${Math.round(similarity * 100)}% identical)` });
+            }
+        }
+
+        if (reasons.length > 0) {
+            matches.push({
+                invoiceNumber: candidate.invoiceNumber,
+                fileName: other.fileName || null,
+                status: candidate.status || 'pending',
+                reasons: reasons
+            });
+        }
+        return matches;
+    }, []);
+}
+
+// ===== EXPORT FOR MODULE USAGE =====
+
+// If using as a module, export functions
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        computeContentHash,
+        findDuplicateMatches,
+        compareLineItemSets,
+        DUPLICATE_RULES,
+        DUPLICATE_REASONS
+    };
+}
+
+// Global availability for browser usage
+if (typeof window !== 'undefined') {
+    window.computeContentHash = computeContentHash;
+    window.findDuplicateMatches = findDuplicateMatches;
+
+    console.log('I2E Duplicate Detector loaded successfully');
+}
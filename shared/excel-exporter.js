@@ -6,6 +6,7 @@
  * @author I2E Development Team
  * @requires ExcelJS library
  * @requires i2e-common.js for utilities
+ * @requires i2e-audit-log.js for the audit log export
  */
 
 // ===== MAIN EXPORT FUNCTIONS =====
@@ -120,78 +121,7 @@ async function exportToExcelWithFields(data, selectedFields, allFields, filename
     try {
         logInfo(`📊 Exporting with selected fields: ${selectedFields.join(', ')}`);
         
-        // Create workbook
-        const workbook = new ExcelJS.Workbook();
-        
-        // Create "Invoice Details" sheet
-        const detailsSheet = workbook.addWorksheet('Invoice Details');
-        
-        // Add headers based on selected fields
-        const headers = selectedFields.map(fieldKey => allFields[fieldKey].name);
-        detailsSheet.addRow(headers);
-        
-        // Style headers
-        const headerRow = detailsSheet.getRow(1);
-        headerRow.font = { bold: true };
-        headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'F8FAFC' } };
-        
-        // Add data rows
-        data.forEach(row => {
-            const dataRow = selectedFields.map(fieldKey => {
-                let value = row[fieldKey];
-                
-                // Format specific fields
-                if (fieldKey === 'creditNote') {
-                    value = value ? 'Yes' : 'No';
-                } else if (fieldKey === 'positionTotal' || fieldKey === 'unitPrice') {
-                    value = value || 0;
-                } else if (value === null || value === undefined) {
-                    value = '';
-                }
-                
-                return value;
-            });
-            
-            const excelRow = detailsSheet.addRow(dataRow);
-            
-            // Highlight validation error rows in red, credit notes in baby-blue
-            if (row.hasValidationError) {
-                excelRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FEE2E2' } };
-            } else if (row.creditNote) {
-                excelRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'B0E6FF' } };
-            }
-        });
-        
-        // Auto-fit columns
-        autoFitColumnsWithHeaders(detailsSheet, headers);
-        
-        // Format amount columns
-        selectedFields.forEach((fieldKey, index) => {
-            if (fieldKey === 'positionTotal' || fieldKey === 'unitPrice') {
-                const column = detailsSheet.getColumn(index + 1);
-                column.numFmt = '#,##0.00';
-            }
-        });
-        
-        // Add filters
-        const lastColumn = String.fromCharCode(65 + selectedFields.length - 1);
-        detailsSheet.autoFilter = `A1:${lastColumn}1`;
-        
-        // Create summary sheet if relevant fields are selected
-        if (selectedFields.includes('invoiceNumber') && 
-            selectedFields.includes('typeCost') && 
-            selectedFields.includes('positionTotal')) {
-            createInvoiceSummarySheet(workbook, data);
-        }
-        
-        // Create invoice status sheet if status data is available
-        if (selectedFields.includes('approvalStatus') || 
-            data.some(row => row.approvalStatus !== undefined)) {
-            createInvoiceStatusSheet(workbook, data);
-        }
-        
-        // Create individual invoice detail sheets
-        await createIndividualInvoiceDetailSheets(workbook, data);
+        const workbook = await createWorkbookWithFields(data, selectedFields, allFields);
         
         // Generate filename and save
         const finalFilename = filename || generateFilename('I2E_Selected_Fields');
@@ -205,6 +135,100 @@ async function exportToExcelWithFields(data, selectedFields, allFields, filename
     }
 }
 
+/**
+ * Build the workbook written by exportToExcelWithFields (also used by the command line tool)
+ * @param {Array} data - Array of extracted invoice data
+ * @param {Array} selectedFields - Array of field keys to include
+ * @param {Object} allFields - Field definitions object
+ * @returns {Promise<ExcelJS.Workbook>} Workbook with details, summary, status and per-invoice sheets
+ */
+async function createWorkbookWithFields(data, selectedFields, allFields) {
+    // Create workbook
+    const workbook = new ExcelJS.Workbook();
+    
+    // Create "Invoice Details" sheet
+    const detailsSheet = workbook.addWorksheet('Invoice Details');
+    
+    // Add headers based on selected fields
+    const headers = selectedFields.map(fieldKey => allFields[fieldKey].name);
+    detailsSheet.addRow(headers);
+    
+    // Style headers
+    const headerRow = detailsSheet.getRow(1);
+    headerRow.font = { bold: true };
+    headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'F8FAFC' } };
+    
+    // Add data rows
+    data.forEach(row => {
+        const dataRow = selectedFields.map(fieldKey => {
+            let value = row[fieldKey];
+            
+            // Format specific fields
+            if (fieldKey === 'creditNote') {
+                value = value ? 'Yes' : 'No';
+            } else if (fieldKey === 'vatBreakdown') {
+                value = formatVatBreakdown(value, row.currency || 'EUR');
+            } else if (fieldKey === 'servicePeriodRange') {
+                value = value ? `${value.start} – ${value.end}` : '';
+            } else if (fieldKey === 'parseWarnings') {
+                value = (value || []).join('; ');
+            } else if (fieldKey === 'typeCostRule') {
+                value = typeof formatCostTypeRule === 'function' ? formatCostTypeRule(value) : (value ? value.name : '');
+            } else if (fieldKey === 'diagnostics') {
+                value = typeof formatExtractionDiagnostics === 'function' ? formatExtractionDiagnostics(value) : '';
+            } else if (fieldKey === 'positionTotal' || fieldKey === 'unitPrice') {
+                value = value || 0;
+            } else if (value === null || value === undefined) {
+                value = '';
+            }
+            
+            return value;
+        });
+        
+        const excelRow = detailsSheet.addRow(dataRow);
+        
+        // Highlight validation error rows in red, credit notes in baby-blue
+        if (row.hasValidationError) {
+            excelRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FEE2E2' } };
+        } else if (row.creditNote) {
+            excelRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'B0E6FF' } };
+        }
+    });
+    
+    // Auto-fit columns
+    autoFitColumnsWithHeaders(detailsSheet, headers);
+    
+    // Format amount columns
+    selectedFields.forEach((fieldKey, index) => {
+        if (['positionTotal', 'unitPrice', 'netAmount', 'vatAmount', 'grossAmount'].includes(fieldKey)) {
+            const column = detailsSheet.getColumn(index + 1);
+            column.numFmt = '#,##0.00';
+        }
+    });
+    
+    // Add filters (column letters from ExcelJS: more than 26 fields go past Z to AA, AB, ...)
+    const lastColumn = detailsSheet.getColumn(selectedFields.length).letter;
+    detailsSheet.autoFilter = `A1:${lastColumn}1`;
+    
+    // Create summary sheet if relevant fields are selected
+    if (selectedFields.includes('invoiceNumber') && 
+        selectedFields.includes('typeCost') && 
+        selectedFields.includes('positionTotal')) {
+        createInvoiceSummarySheet(workbook, data);
+    }
+    
+    // Create invoice status sheet if status data is available
+    if (selectedFields.includes('approvalStatus') || 
+        data.some(row => row.approvalStatus !== undefined)) {
+        createInvoiceStatusSheet(workbook, data);
+    }
+    
+    // Create individual invoice detail sheets
+    await createIndividualInvoiceDetailSheets(workbook, data);
+    
+    return workbook;
+}
+
 /**
  * Export validation results to Excel (for Validator)
  * @param {Object} validationResults - Validation comparison results
@@ -236,6 +260,30 @@ async function exportValidationToExcel(validationResults, filename = null) {
     }
 }
 
+/**
+ * Export audit log events to Excel (for auditors)
+ * @param {Array} events - Audit events (i2e-audit-log.js)
+ * @param {string} filename - Optional custom filename
+ * @returns {Promise<void>}
+ */
+async function exportAuditLogToExcel(events, filename = null) {
+    try {
+        logInfo(`📊 Exporting ${events.length} audit events to Excel`);
+        
+        const workbook = new ExcelJS.Workbook();
+        createAuditLogSheet(workbook, formatAuditEventRows(events));
+        
+        const finalFilename = filename || generateFilename('I2E_Audit_Log');
+        await saveWorkbook(workbook, finalFilename);
+        
+        logInfo('✅ Audit log exported successfully!');
+        
+    } catch (error) {
+        logError('Error exporting audit log:', error);
+        alert('An error occurred while exporting the audit log. Please try again.');
+    }
+}
+
 // ===== SHEET CREATION FUNCTIONS =====
 
 /**
@@ -306,7 +354,8 @@ function createInvoiceStatusSheet(workbook, data) {
     const headers = [
         'Invoice Number', 'Project ID', 'Customer ID', 'Invoice Date', 
         'Month of Invoice', 'Total Amount', 'Currency', 'Credit Note', 
-        'Status', 'Approval Date', 'Approved/Rejected By', 'Comments', 
+        'Status', 'Approval State', 'Approved Amount', 'Disputed Amount',
+        'Approval Date', 'Approved/Rejected By', 'Comments', 
         'Extracted Date', 'Last Modified'
     ];
     statusSheet.addRow(headers);
@@ -332,6 +381,9 @@ function createInvoiceStatusSheet(workbook, data) {
                 currency: row.currency || 'EUR',
                 creditNote: row.creditNote ? 'Yes' : 'No',
                 status: row.approvalStatus || 'Unknown',
+                approvalState: row.approvalState || '',
+                approvedAmount: row.approvedAmount ?? '',
+                disputedAmount: row.disputedAmount ?? '',
                 approvalDate: row.approvalDate || '',
                 approvedBy: row.approvedBy || '',
                 comments: row.comments || '',
@@ -353,6 +405,9 @@ function createInvoiceStatusSheet(workbook, data) {
             invoice.currency,
             invoice.creditNote,
             invoice.status,
+            invoice.approvalState,
+            invoice.approvedAmount,
+            invoice.disputedAmount,
             invoice.approvalDate,
             invoice.approvedBy,
             invoice.comments,
@@ -362,8 +417,10 @@ function createInvoiceStatusSheet(workbook, data) {
         
         const excelRow = statusSheet.addRow(dataRow);
         
-        // Color coding based on status
-        if (invoice.status === 'approved') {
+        // Color coding based on status (orange for approved invoices with disputed line items)
+        if (invoice.status === 'approved' && invoice.approvalState && invoice.approvalState !== 'approved') {
+            excelRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFEDD5' } }; // Orange
+        } else if (invoice.status === 'approved') {
             excelRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'D1FAE5' } }; // Green
         } else if (invoice.status === 'rejected') {
             excelRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FEE2E2' } }; // Red
@@ -380,12 +437,13 @@ function createInvoiceStatusSheet(workbook, data) {
     // Auto-fit columns
     autoFitColumnsWithHeaders(statusSheet, headers);
     
-    // Format amount column
-    const amountColumn = statusSheet.getColumn(6);
-    amountColumn.numFmt = '#,##0.00';
+    // Format amount columns
+    [6, 11, 12].forEach(columnIndex => {
+        statusSheet.getColumn(columnIndex).numFmt = '#,##0.00';
+    });
     
     // Add filters
-    statusSheet.autoFilter = 'A1:N1';
+    statusSheet.autoFilter = 'A1:Q1';
 }
 
 /**
@@ -491,6 +549,48 @@ function createValidationDetailSheet(workbook, detailData) {
     sheet.autoFilter = 'A1:H1';
 }
 
+/**
+ * Create audit log sheet (1 line per changed field)
+ * @param {ExcelJS.Workbook} workbook - Workbook instance
+ * @param {Array} rows - Rows from formatAuditEventRows
+ */
+function createAuditLogSheet(workbook, rows) {
+    const sheet = workbook.addWorksheet('Audit Log');
+    
+    // Add headers
+    const headers = [
+        'Event ID', 'Timestamp', 'Invoice Number', 'Event', 'User',
+        'Field', 'Before', 'After', 'Reason'
+    ];
+    sheet.addRow(headers);
+    
+    // Style headers
+    const headerRow = sheet.getRow(1);
+    headerRow.font = { bold: true };
+    headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'F8FAFC' } };
+    
+    // Add data rows
+    rows.forEach(row => {
+        sheet.addRow([
+            row.id,
+            row.timestamp,
+            row.invoiceNumber,
+            row.event,
+            row.user,
+            row.field,
+            row.before,
+            row.after,
+            row.reason
+        ]);
+    });
+    
+    // Auto-fit columns
+    autoFitColumnsWithHeaders(sheet, headers);
+    
+    // Add filters
+    sheet.autoFilter = 'A1:I1';
+}
+
 // ===== UTILITY FUNCTIONS =====
 
 /**
@@ -586,6 +686,26 @@ function formatDataForExport(extractedData, selectedFields) {
                 case 'creditNote':
                     value = value ? 'Yes' : 'No';
                     break;
+                case 'vatBreakdown':
+                    value = formatVatBreakdown(value, row.currency || 'EUR');
+                    break;
+                case 'servicePeriodRange':
+                    value = value ? `${value.start} – ${value.end}` : '';
+                    break;
+                case 'parseWarnings':
+                    value = (value || []).join('; ');
+                    break;
+                case 'typeCostRule':
+                    value = typeof formatCostTypeRule === 'function' ? formatCostTypeRule(value) : (value ? value.name : '');
+                    break;
+                case 'diagnostics':
+                    value = typeof formatExtractionDiagnostics === 'function' ? formatExtractionDiagnostics(value) : '';
+                    break;
+                case 'netAmount':
+                case 'vatAmount':
+                case 'grossAmount':
+                    value = typeof value === 'number' ? roundToDecimals(value, 2) : '';
+                    break;
                 case 'positionTotal':
                 case 'unitPrice':
                 case 'extractedInvoiceTotal':
@@ -624,7 +744,10 @@ function getAllAvailableFields() {
         currency: { name: 'Currency', description: 'Invoice currency (EUR, USD, etc.)' },
         vat: { name: 'VAT', description: 'VAT percentage or identifier' },
         creditNote: { name: 'Credit Note', description: 'Whether this is a credit note (Yes/No)' },
+        supplierName: { name: 'Supplier', description: 'Registered supplier, or the supplier named by the template or e-invoice' },
+        supplierId: { name: 'Supplier ID', description: 'Id of the registered supplier the invoice was resolved to' },
         serviceProvisionPeriod: { name: 'Service Period', description: 'Period when service was provided' },
+        servicePeriodRange: { name: 'Service Period Range', description: 'Start and end date of the service period' },
         position: { name: 'Position', description: 'Line item position number' },
         material: { name: 'Material', description: 'Material/service code' },
         positionDescription: { name: 'Description', description: 'Line item description' },
@@ -633,7 +756,15 @@ function getAllAvailableFields() {
         unitPrice: { name: 'Unit Price', description: 'Price per unit' },
         positionTotal: { name: 'Line Total', description: 'Total amount for this line item' },
         typeCost: { name: 'Cost Type', description: 'Internal or External cost classification' },
+        originalInvoiceNumber: { name: 'Original Invoice', description: 'Invoice number a credit note corrects' },
+        typeCostRule: { name: 'Cost Type Rule', description: 'Classification rule that set the cost type' },
         extractedInvoiceTotal: { name: 'Invoice Total', description: 'Total amount extracted from invoice' },
+        netAmount: { name: 'Net Amount', description: 'Invoice net amount (before VAT)' },
+        vatBreakdown: { name: 'VAT Breakdown', description: 'VAT rate, code, base and tax amount per rate' },
+        vatAmount: { name: 'VAT Amount', description: 'Total VAT of the invoice' },
+        grossAmount: { name: 'Gross Amount', description: 'Invoice gross amount (net + VAT)' },
+        parseWarnings: { name: 'Parse Warnings', description: 'Ambiguous amounts or dates that were guessed' },
+        diagnostics: { name: 'Extraction Diagnostics', description: 'Why the line items and invoice total were extracted this way' },
         pageNumber: { name: 'Page Number', description: 'PDF page number where item was found' }
     };
 }
@@ -861,7 +992,9 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         exportToExcel,
         exportToExcelWithFields,
+        createWorkbookWithFields,
         exportValidationToExcel,
+        exportAuditLogToExcel,
         formatDataForExport,
         getAllAvailableFields,
         validateFieldSelection,
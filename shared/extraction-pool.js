@@ -0,0 +1,299 @@
+/**
+ * I2E Extraction Pool
+ * Batch extraction of invoice files in a pool of web workers, with per-file progress and cancel
+ *
+ * @version 1.0
+ * @author I2E Development Team
+ * @requires pdf-extractor.js (main-thread fallback), supplier-templates.js, cost-type-rules.js,
+ *           supplier-registry.js
+ */
+
+// ===== POOL CONFIGURATION =====
+
+// Worker script, relative to the page (index.html and I2E_Invoice_Processor.html live next to shared/)
+const EXTRACTION_WORKER_URL = 'shared/extraction-worker.js';
+
+// Upper bound for parallel workers; each one holds a PDF in memory
+const MAX_EXTRACTION_WORKERS = 4;
+
+/**
+ * Number of workers for a batch: one core is left to the page
+ * @returns {number} Pool size (at least 1)
+ */
+function getExtractionPoolSize() {
+    const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+    return Math.max(1, Math.min(MAX_EXTRACTION_WORKERS, cores - 1));
+}
+
+/**
+ * Check whether extraction can run in web workers.
+ * Pages opened from disk (file://) cannot start workers; they extract on the main thread.
+ * @returns {boolean} True if workers are available
+ */
+function canUseExtractionWorkers() {
+    return typeof Worker !== 'undefined' &&
+        typeof location !== 'undefined' && location.protocol !== 'file:';
+}
+
+// ===== BATCH EXTRACTION =====
+
+/**
+ * Extract a batch of invoice files. PDFs are spread over a worker pool; XML e-invoices, hybrid
+ * PDFs with embedded XML and every file when workers are unavailable are extracted on the main
+ * thread, one at a time.
+ *
+ * Handlers (all optional):
+ *   onJobStart(job)                     - extraction of a file started
+ *   onJobProgress(job, page, pageCount) - a page of a PDF was read
+ *   onJobDone(job, invoiceData)         - extraction finished; may be async
+ *   onJobError(job, error)              - extraction (or onJobDone) failed; may be async
+ *   onJobCancelled(job)                 - the file was not extracted because the batch was cancelled
+ * onJobDone and onJobError run one at a time in completion order, so they can safely update the cache.
+ *
+ * @param {Array<Object>} jobs - { id, file, options } per file, options as for extractDataFromInvoiceFile
+ * @param {Object} handlers - Callbacks, see above
+ * @param {number} poolSize - Number of workers
+ * @returns {Object} { done: Promise<{ succeeded, failed, cancelled }>, cancel() } - job arrays per outcome
+ */
+function startExtractionBatch(jobs, handlers = {}, poolSize = getExtractionPoolSize()) {
+    const workerQueue = [];
+    const mainThreadQueue = [];
+    const workers = [];
+    const outcomes = { succeeded: [], failed: [], cancelled: [] };
+    const settings = {
+        supplierTemplates: typeof getSupplierTemplates === 'function' ? getSupplierTemplates() : null,
+        costTypeRules: typeof getCostTypeRules === 'function' ? getCostTypeRules() : null,
+        suppliers: typeof getSupplierRegistry === 'function' ? getSupplierRegistry() : null
+    };
+
+    let handlerChain = Promise.resolve();
+    let openJobs = jobs.length;
+    let mainThreadBusy = false;
+    let cancelled = false;
+    let resolveDone;
+    const done = new Promise(resolve => { resolveDone = resolve; });
+
+    const callHandler = (name, ...args) => {
+        if (typeof handlers[name] !== 'function') return;
+        try {
+            handlers[name](...args);
+        } catch (error) {
+            console.error(`Extraction batch: ${name} handler failed:`, error);
+        }
+    };
+
+    const finish = () => {
+        workers.forEach(slot => slot.worker.terminate());
+        workers.length = 0;
+        handlerChain.then(() => resolveDone(outcomes));
+    };
+
+    // Record the outcome of a job and queue its result handler behind the earlier ones
+    const settle = (job, error, invoiceData) => {
+        if (job.settled) return;
+        job.settled = true;
+
+        handlerChain = handlerChain.then(async () => {
+            if (!error) {
+                try {
+                    if (handlers.onJobDone) await handlers.onJobDone(job, invoiceData);
+                    outcomes.succeeded.push(job);
+                    return;
+                } catch (handlerError) {
+                    error = handlerError;
+                }
+            }
+            outcomes.failed.push(job);
+            try {
+                if (handlers.onJobError) await handlers.onJobError(job, error);
+            } catch (handlerError) {
+                console.error('Extraction batch: onJobError handler failed:', handlerError);
+            }
+        });
+
+        openJobs--;
+        if (openJobs === 0 && !cancelled) finish();
+    };
+
+    // ----- Main thread -----
+
+    const runOnMainThread = job => {
+        mainThreadQueue.push(job);
+        drainMainThread();
+    };
+
+    const drainMainThread = async () => {
+        if (mainThreadBusy) return;
+        mainThreadBusy = true;
+
+        while (mainThreadQueue.length > 0 && !cancelled) {
+            const job = mainThreadQueue.shift();
+            callHandler('onJobStart', job);
+            try {
+                const invoiceData = await extractDataFromInvoiceFile(job.file, {
+                    ...job.options,
+                    onPageProgress: (page, pageCount) => callHandler('onJobProgress', job, page, pageCount)
+                });
+                if (!cancelled) settle(job, null, invoiceData);
+            } catch (error) {
+                if (!cancelled) settle(job, error);
+            }
+            // Let the page repaint and handle clicks (e.g. cancel) between files
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        mainThreadBusy = false;
+    };
+
+    // ----- Workers -----
+
+    const startWorker = () => {
+        let worker;
+        try {
+            worker = new Worker(EXTRACTION_WORKER_URL);
+        } catch (error) {
+            console.warn('⚠️ Could not start extraction worker, extracting on the main thread:', error.message);
+            return null;
+        }
+
+        const slot = { worker: worker, job: null };
+        worker.onmessage = event => handleWorkerMessage(slot, event.data);
+        worker.onerror = event => {
+            event.preventDefault();
+            console.warn('⚠️ Extraction worker failed, extracting on the main thread:', event.message);
+            retireWorker(slot);
+        };
+        return slot;
+    };
+
+    const assignNextJob = slot => {
+        if (cancelled || workerQueue.length === 0) {
+            slot.job = null;
+            return;
+        }
+        slot.job = workerQueue.shift();
+        callHandler('onJobStart', slot.job);
+        slot.worker.postMessage({
+            type: 'extract',
+            jobId: slot.job.id,
+            file: slot.job.file,
+            options: slot.job.options || {},
+            supplierTemplates: settings.supplierTemplates,
+            costTypeRules: settings.costTypeRules,
+            suppliers: settings.suppliers
+        });
+    };
+
+    // A worker that cannot load (e.g. CDN unreachable) hands its jobs to the main thread
+    const retireWorker = slot => {
+        slot.worker.terminate();
+        if (cancelled || !workers.includes(slot)) return;
+        workers.splice(workers.indexOf(slot), 1);
+        if (slot.job) runOnMainThread(slot.job);
+        if (workers.length === 0) {
+            workerQueue.splice(0).forEach(runOnMainThread);
+        }
+    };
+
+    const handleWorkerMessage = (slot, message) => {
+        // pdf.js' own messages on the worker port have no type
+        if (!message || !message.type || !slot.job || message.jobId !== slot.job.id) return;
+        const job = slot.job;
+
+        switch (message.type) {
+            case 'page':
+                callHandler('onJobProgress', job, message.page, message.pageCount);
+                return;
+            case 'done':
+                settle(job, null, message.invoiceData);
+                break;
+            case 'error':
+                settle(job, new Error(message.message));
+                break;
+            case 'main-thread':
+                console.log(`📎 ${job.file.name}: ${message.reason}, extracting on the main thread`);
+                runOnMainThread(job);
+                break;
+            default:
+                return;
+        }
+
+        assignNextJob(slot);
+    };
+
+    // ----- Start -----
+
+    if (jobs.length === 0) {
+        resolveDone(outcomes);
+        return { done: done, cancel: () => {} };
+    }
+
+    jobs.forEach(job => {
+        if (typeof isXmlInvoiceFile === 'function' && isXmlInvoiceFile(job.file)) {
+            mainThreadQueue.push(job);
+        } else {
+            workerQueue.push(job);
+        }
+    });
+
+    if (workerQueue.length > 0 && canUseExtractionWorkers()) {
+        const workerCount = Math.min(poolSize, workerQueue.length);
+        for (let i = 0; i < workerCount; i++) {
+            const slot = startWorker();
+            if (!slot) break;
+            workers.push(slot);
+        }
+    }
+
+    if (workers.length === 0) {
+        mainThreadQueue.push(...workerQueue.splice(0));
+    }
+
+    console.log(`⚙️ Extracting ${jobs.length} file(s) with ${workers.length} worker(s)`);
+    workers.forEach(assignNextJob);
+    drainMainThread();
+
+    return {
+        done: done,
+
+        /**
+         * Stop the batch. Running workers are terminated; a file already being extracted on the
+         * main thread finishes, but its result is dropped. Results handed out before stay valid.
+         */
+        cancel() {
+            if (cancelled || openJobs === 0) return;
+            cancelled = true;
+
+            jobs.filter(job => !job.settled).forEach(job => {
+                job.settled = true;
+                outcomes.cancelled.push(job);
+                callHandler('onJobCancelled', job);
+            });
+            mainThreadQueue.length = 0;
+            workerQueue.length = 0;
+
+            console.log(`⏹️ Extraction cancelled: ${outcomes.cancelled.length} file(s) not extracted`);
+            finish();
+        }
+    };
+}
+
+// ===== EXPORT FOR MODULE USAGE =====
+
+// If using as a module, export functions
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        startExtractionBatch,
+        getExtractionPoolSize,
+        canUseExtractionWorkers,
+        EXTRACTION_WORKER_URL,
+        MAX_EXTRACTION_WORKERS
+    };
+}
+
+// Global availability for browser usage
+if (typeof window !== 'undefined') {
+    window.startExtractionBatch = startExtractionBatch;
+
+    console.log(`I2E Extraction Pool loaded successfully (${canUseExtractionWorkers() ? getExtractionPoolSize() + ' workers' : 'main thread'})`);
+}
@@ -0,0 +1,110 @@
+/**
+ * I2E Extraction Worker
+ * Web worker that runs the PDF extractor off the main thread (started by extraction-pool.js)
+ *
+ * @version 1.0
+ * @author I2E Development Team
+ * @requires pdf.js and its worker build (CDN), i2e-common.js, supplier-templates.js,
+ *           invoice-locale.js, cost-type-rules.js, supplier-registry.js, duplicate-detector.js,
+ *           pdf-extractor.js
+ */
+
+// pdf.js cannot start its own worker from inside a worker. Loading its worker build here lets it
+// parse in this thread instead; that build also listens on this worker's port, but only answers
+// its own messages (ours carry a "type", its own a "sourceName").
+importScripts(
+    'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js',
+    'i2e-common.js',
+    'supplier-templates.js',
+    'invoice-locale.js',
+    'cost-type-rules.js',
+    'supplier-registry.js',
+    'duplicate-detector.js',
+    'pdf-extractor.js'
+);
+
+// ===== MESSAGE HANDLING =====
+
+/**
+ * Messages from the pool:
+ *   { type: 'extract', jobId, file, options, supplierTemplates, costTypeRules, suppliers }
+ * Messages to the pool:
+ *   { type: 'page', jobId, page, pageCount }      - after each page's text was read
+ *   { type: 'done', jobId, invoiceData }          - extraction finished
+ *   { type: 'main-thread', jobId, reason }        - the file has to be extracted on the page
+ *   { type: 'error', jobId, message }             - extraction failed
+ */
+self.onmessage = async function (event) {
+    const message = event.data || {};
+    if (message.type !== 'extract') return;
+
+    const { jobId, file } = message;
+
+    try {
+        useSettingsFromPage(message.supplierTemplates, message.costTypeRules, message.suppliers);
+
+        // Hybrid e-invoices need DOMParser for their embedded XML, which workers do not have
+        if (await hasEmbeddedXmlAttachment(file)) {
+            self.postMessage({ type: 'main-thread', jobId: jobId, reason: 'embedded e-invoice XML' });
+            return;
+        }
+
+        let hasScannedPages = false;
+        const invoiceData = await extractDataFromPDF(file, {
+            ...message.options,
+            onPageProgress: (page, pageCount) => {
+                self.postMessage({ type: 'page', jobId: jobId, page: page, pageCount: pageCount });
+            },
+            onPageWithoutText: () => { hasScannedPages = true; }
+        });
+
+        // OCR renders pages on a canvas of the page; the result read here without it is dropped
+        if (hasScannedPages) {
+            self.postMessage({ type: 'main-thread', jobId: jobId, reason: 'scanned pages need OCR' });
+            return;
+        }
+
+        self.postMessage({ type: 'done', jobId: jobId, invoiceData: invoiceData });
+
+    } catch (error) {
+        self.postMessage({ type: 'error', jobId: jobId, message: error.message });
+    }
+};
+
+// ===== HELPERS =====
+
+/**
+ * Use the supplier templates, cost type rules and supplier registry of the page
+ * (workers have no localStorage, and the registry is loaded from IndexedDB by the page)
+ * @param {Array} supplierTemplates - Registered templates of the page
+ * @param {Array} costTypeRules - Active cost type rule table of the page
+ * @param {Array} suppliers - Supplier registry of the page
+ */
+function useSettingsFromPage(supplierTemplates, costTypeRules, suppliers) {
+    if (Array.isArray(supplierTemplates)) {
+        getSupplierTemplates().forEach(template => unregisterSupplierTemplate(template.id));
+        supplierTemplates.forEach(template => registerSupplierTemplate(template));
+    }
+    if (Array.isArray(costTypeRules)) {
+        setCostTypeRules(costTypeRules);
+    }
+    if (Array.isArray(suppliers)) {
+        setSupplierRegistry(suppliers);
+    }
+}
+
+/**
+ * Check whether a PDF carries an XML attachment (Factur-X / ZUGFeRD)
+ * @param {File} file - PDF file
+ * @returns {Promise<boolean>} True if an .xml file is attached
+ */
+async function hasEmbeddedXmlAttachment(file) {
+    const pdf = await pdfjsLib.getDocument({ data: await file.arrayBuffer() }).promise;
+    try {
+        const attachments = await pdf.getAttachments();
+        return !!attachments && Object.values(attachments).some(attachment => /\.xml$/i.test(attachment.filename || ''));
+    } finally {
+        await pdf.destroy();
+    }
+}
@@ -0,0 +1,174 @@
+/**
+ * I2E Audit Log
+ * Append-only record of every invoice state change (extraction, edits, date changes, line item
+ * decisions, approval steps, approval, rejection, reopening) in the IndexedDB "auditLog" store
+ *
+ * @version 1.0
+ * @author I2E Development Team
+ * @requires i2e-common.js for IndexedDB helpers, user-profiles.js for the user identity
+ */
+
+// ===== AUDIT LOG CONFIGURATION =====
+
+/**
+ * Event format:
+ * {
+ *     id: 17,                                   // Assigned by IndexedDB, ascending
+ *     invoiceNumber: '9120001474',
+ *     type: 'approved',                         // Key of AUDIT_EVENT_TYPES
+ *     user: 'Jane Doe <jane.doe@example.com>',  // Identity of the active user profile
+ *     timestamp: '2025-04-15T09:30:00.000Z',
+ *     changes: [{ field: 'status', before: 'pending', after: 'approved' }],
+ *     reason: 'Matches PPM hours',              // Comment of the user, or why the system changed it
+ *     details: { fileName: 'invoice_1.pdf' }    // Context that is not a field change
+ * }
+ */
+
+const AUDIT_LOG_STORE = 'auditLog';
+
+const AUDIT_EVENT_TYPES = {
+    extracted: 'Extracted',
+    edited: 'Edited',
+    dateChanged: 'Date changed',
+    lineItemReviewed: 'Line item approved / disputed',
+    stepApproved: 'Approval step signed off',
+    approved: 'Approved',
+    rejected: 'Rejected',
+    reopened: 'Reopened',
+    duplicateDiscarded: 'Discarded as duplicate'
+};
+
+// ===== RECORDING =====
+
+/**
+ * Get the user recorded with audit events: "Name <email>" of the active user profile
+ * @returns {string} User identity
+ */
+function getAuditUserId() {
+    return typeof getCurrentUserId === 'function' ? getCurrentUserId() : 'unknown-user';
+}
+
+/**
+ * Append an event to the audit log. Events are never changed or removed, also not by clearing the cache.
+ * @param {string} invoiceNumber - Invoice the event belongs to
+ * @param {string} type - Key of AUDIT_EVENT_TYPES
+ * @param {Object} event - { user, changes, reason, details }, user defaults to getAuditUserId()
+ * @returns {Promise<boolean>} True if the event was stored
+ */
+async function recordAuditEvent(invoiceNumber, type, event = {}) {
+    if (!AUDIT_EVENT_TYPES[type]) {
+        logError(`recordAuditEvent: Unknown event type "${type}"`);
+        return false;
+    }
+
+    const entry = {
+        invoiceNumber: invoiceNumber,
+        type: type,
+        user: event.user && event.user !== 'unknown' ? event.user : getAuditUserId(),
+        timestamp: new Date().toISOString(),
+        changes: event.changes || [],
+        reason: event.reason || '',
+        details: event.details || null
+    };
+
+    try {
+        const db = await initializeIndexedDB();
+        return await new Promise((resolve, reject) => {
+            const transaction = db.transaction([AUDIT_LOG_STORE], 'readwrite');
+            transaction.objectStore(AUDIT_LOG_STORE).add(entry);
+            transaction.oncomplete = () => resolve(true);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    } catch (error) {
+        logError(`Error recording audit event ${type} for ${invoiceNumber}:`, error);
+        return false;
+    }
+}
+
+/**
+ * List the fields whose values differ between two versions of an object
+ * @param {Object} before - Old values
+ * @param {Object} after - New values
+ * @param {Array<string>} fields - Fields to compare
+ * @param {string} prefix - Prepended to the field names, e.g. "Position 0010 "
+ * @returns {Array} Changes { field, before, after }
+ */
+function diffAuditFields(before, after, fields, prefix = '') {
+    return fields
+        .filter(field => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null))
+        .map(field => ({ field: prefix + field, before: before[field] ?? null, after: after[field] ?? null }));
+}
+
+// ===== READING =====
+
+/**
+ * Get audit events, oldest first
+ * @param {string|null} invoiceNumber - Invoice to get the events of, null for all invoices
+ * @returns {Promise<Array>} Events
+ */
+async function getAuditEvents(invoiceNumber = null) {
+    try {
+        const db = await initializeIndexedDB();
+        return await new Promise((resolve, reject) => {
+            const store = db.transaction([AUDIT_LOG_STORE], 'readonly').objectStore(AUDIT_LOG_STORE);
+            const request = invoiceNumber === null
+                ? store.getAll()
+                : store.index('invoiceNumber').getAll(invoiceNumber);
+            request.onsuccess = () => resolve(request.result.sort((a, b) => a.id - b.id));
+            request.onerror = () => reject(request.error);
+        });
+    } catch (error) {
+        logError('Error reading the audit log:', error);
+        return [];
+    }
+}
+
+/**
+ * Flatten events into one row per changed field (one row for events without field changes)
+ * @param {Array} events - Audit events
+ * @returns {Array} Rows { id, timestamp, invoiceNumber, event, user, field, before, after, reason }
+ */
+function formatAuditEventRows(events) {
+    const formatValue = value => value === null || value === undefined ? '' : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+
+    return events.flatMap(event => {
+        const base = {
+            id: event.id,
+            timestamp: event.timestamp,
+            invoiceNumber: event.invoiceNumber,
+            event: AUDIT_EVENT_TYPES[event.type] || event.type,
+            user: event.user,
+            reason: event.reason || ''
+        };
+        const changes = event.changes && event.changes.length > 0 ? event.changes : [{ field: '', before: null, after: null }];
+        return changes.map(change => ({
+            ...base,
+            field: change.field,
+            before: formatValue(change.before),
+            after: formatValue(change.after)
+        }));
+    });
+}
+
+// ===== EXPORT FOR MODULE USAGE =====
+
+// If using as a module, export functions
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getAuditUserId,
+        recordAuditEvent,
+        diffAuditFields,
+        getAuditEvents,
+        formatAuditEventRows,
+        AUDIT_LOG_STORE,
+        AUDIT_EVENT_TYPES
+    };
+}
+
+// Global availability for browser usage
+if (typeof window !== 'undefined') {
+    window.recordAuditEvent = recordAuditEvent;
+    window.getAuditEvents = getAuditEvents;
+
+    console.log('I2E Audit Log loaded successfully');
+}
@@ -4,6 +4,10 @@
  * 
  * @version 1.0
  * @author I2E Development Team
+ * @requires supplier-registry.js for invoice suppliers (optional)
+ * @requires duplicate-detector.js for duplicate screening (optional)
+ * @requires i2e-audit-log.js for the audit log (optional)
+ * @requires approval-policies.js for multi-step approval chains (optional)
  */
 
 // ===== CACHE CONFIGURATION =====
@@ -12,20 +16,28 @@ const CACHE_KEYS = {
     PENDING: 'i2e_pending_invoices',
     APPROVED: 'i2e_approved_invoices',
     REJECTED: 'i2e_rejected_invoices',
+    SUSPECTED_DUPLICATES: 'i2e_suspected_duplicates',
     PREFERENCES: 'i2e_user_preferences'
 };
 
-const CACHE_VERSION = '1.0';
+// Schema version of the cached invoice entries; raise it with a new step in CACHE_MIGRATIONS
+// whenever their shape changes (checked against the last step when the migrations are registered)
+const CACHE_VERSION = 2;
 const MAX_CACHE_SIZE = 5 * 1024 * 1024; // 5MB limit for safety
 
+// Fields compared for the audit log when an invoice is extracted again or edited
+const AUDITED_SUMMARY_FIELDS = ['projectId', 'invoiceDate', 'monthOfInvoice', 'currency', 'totalAmount', 'netAmount', 'vatAmount', 'grossAmount', 'creditNote', 'supplierName', 'lineItemCount'];
+const AUDITED_LINE_ITEM_FIELDS = ['material', 'positionDescription', 'positionQuantity', 'unit', 'unitPrice', 'positionTotal', 'vat', 'typeCost', 'serviceProvisionPeriod'];
+
 // ===== CORE INVOICE LIFECYCLE MANAGEMENT =====
 
 /**
  * Add extracted invoice to pending cache
  * @param {Object} invoiceData - Complete extracted invoice data
+ * @param {Object} audit - { user, reason } recorded with the audit event
  * @returns {boolean} Success status
  */
-async function addPendingInvoice(invoiceData) {
+async function addPendingInvoice(invoiceData, audit = {}) {
     try {
         if (!invoiceData || !invoiceData.invoiceNumber) {
             logError('addPendingInvoice: Invalid invoice data', invoiceData);
@@ -70,16 +82,22 @@ async function addPendingInvoice(invoiceData) {
         
         console.log('🔍 fullInvoiceDataToStore length:', fullInvoiceDataToStore.length);
 
+        const firstItem = fullInvoiceDataToStore[0] || {};
         const cacheEntry = {
             invoiceNumber: invoiceData.invoiceNumber,
             status: 'pending',
             extractedDate: new Date().toISOString(),
             source: 'new',
+            creditNote: !!firstItem.creditNote,
+            originalInvoiceNumber: firstItem.creditNote ? (firstItem.originalInvoiceNumber || null) : null,
+            duplicateReview: invoiceData.duplicateReview || (existingIndex >= 0 ? pendingInvoices[existingIndex].duplicateReview : null) || null,
             fullInvoiceData: fullInvoiceDataToStore,
+            summary: extractInvoiceSummary(fullInvoiceDataToStore),
             validationData: null,
             lastModified: new Date().toISOString()
         };
 
+        const previousEntry = existingIndex >= 0 ? pendingInvoices[existingIndex] : null;
         if (existingIndex >= 0) {
             // Update existing pending invoice
             pendingInvoices[existingIndex] = cacheEntry;
@@ -90,7 +108,24 @@ async function addPendingInvoice(invoiceData) {
             logInfo(`Added new pending invoice: ${invoiceData.invoiceNumber}`);
         }
 
-        return await saveToIndexedDB(CACHE_KEYS.PENDING, pendingInvoices);
+        // Credit notes and the invoices they correct may arrive in any order, so relink every time
+        const settledInvoices = [...await getApprovedInvoices(), ...await getRejectedInvoices()];
+        linkCreditNotes(pendingInvoices, settledInvoices);
+
+        const saved = await saveToIndexedDB(CACHE_KEYS.PENDING, pendingInvoices);
+
+        // A new invoice, or an invoice extracted again with different values
+        const changes = previousEntry ? diffInvoiceEntries(previousEntry, cacheEntry) : [];
+        if (saved && (!previousEntry || changes.length > 0)) {
+            await recordInvoiceAuditEvent(invoiceData.invoiceNumber, 'extracted', {
+                user: audit.user,
+                changes: changes,
+                reason: audit.reason || (previousEntry ? 'Extracted again' : ''),
+                details: { fileName: firstItem.fileName || null }
+            });
+        }
+
+        return saved;
 
     } catch (error) {
         logError('Error adding pending invoice:', error);
@@ -119,7 +154,8 @@ async function getPendingInvoices() {
 }
 
 /**
- * Approve an invoice (move from pending to approved)
+ * Approve an invoice (move from pending to approved). With approval-policies.js loaded this signs off
+ * the next step of the invoice's approval chain; the invoice stays pending until the last step.
  * @param {string} invoiceNumber - Invoice number to approve
  * @param {string} userId - User performing the approval
  * @param {string} comments - Optional approval comments
@@ -135,17 +171,57 @@ async function approveInvoice(invoiceNumber, userId = 'unknown', comments = '')
             return false;
         }
 
-        const invoice = pendingInvoices[invoiceIndex];
+        let invoice = pendingInvoices[invoiceIndex];
+        let signedOffStep = null;
+
+        // Sign off the next step of the approval chain
+        if (typeof getApprovalProgress === 'function') {
+            const progress = getApprovalProgress(invoice);
+            if (progress.nextStep) {
+                const blocker = getApprovalBlocker(invoice, userId);
+                if (blocker) {
+                    logError(`approveInvoice: ${blocker} (${invoiceNumber})`);
+                    return false;
+                }
+
+                signedOffStep = {
+                    step: progress.nextStep.id,
+                    stepName: progress.nextStep.name,
+                    stepNumber: progress.nextStepNumber,
+                    stepCount: progress.steps.length
+                };
+                invoice = {
+                    ...invoice,
+                    approvals: [
+                        ...(invoice.approvals || []),
+                        { step: signedOffStep.step, stepName: signedOffStep.stepName, by: userId, date: new Date().toISOString(), comments: comments }
+                    ]
+                };
+
+                if (getApprovalProgress(invoice).nextStep) {
+                    return await saveApprovalStep(pendingInvoices, invoiceIndex, invoice, signedOffStep, userId, comments);
+                }
+            }
+        }
+        
+        // Line items nobody disputed are approved with the invoice
+        const approvalDate = new Date().toISOString();
+        const fullInvoiceData = settleLineItemApprovals(invoice.fullInvoiceData, userId, approvalDate);
+        const lineItemApproval = summarizeLineItemApprovals(fullInvoiceData, getInvoiceTotal(invoice));
         
         // Create approved invoice (keep full data since we have IndexedDB storage)
         const approvedInvoice = {
             ...invoice,
+            fullInvoiceData: fullInvoiceData,
             status: 'approved',
-            approvalDate: new Date().toISOString(),
+            approvalState: lineItemApproval.approvalState,
+            approvedAmount: lineItemApproval.approvedAmount,
+            disputedAmount: lineItemApproval.disputedAmount,
+            approvalDate: approvalDate,
             approvedBy: userId,
             comments: comments,
-            summary: extractInvoiceSummary(invoice.fullInvoiceData),
-            lastModified: new Date().toISOString()
+            summary: extractInvoiceSummary(fullInvoiceData),
+            lastModified: approvalDate
         };
 
         // Remove from pending
@@ -160,7 +236,20 @@ async function approveInvoice(invoiceNumber, userId = 'unknown', comments = '')
         const approvedSaved = await saveToIndexedDB(CACHE_KEYS.APPROVED, approvedInvoices);
 
         if (pendingSaved && approvedSaved) {
-            logInfo(`Invoice approved: ${invoiceNumber} by ${userId}`);
+            logInfo(`Invoice approved: ${invoiceNumber} by ${userId} (${lineItemApproval.approvalState})`);
+            const changes = [{ field: 'status', before: invoice.status || 'pending', after: 'approved' }];
+            if (lineItemApproval.approvalState !== 'approved') {
+                changes.push(
+                    { field: 'approvalState', before: null, after: lineItemApproval.approvalState },
+                    { field: 'approvedAmount', before: null, after: lineItemApproval.approvedAmount }
+                );
+            }
+            await recordInvoiceAuditEvent(invoiceNumber, 'approved', {
+                user: userId,
+                changes: changes,
+                reason: comments,
+                details: signedOffStep
+            });
             return true;
         } else {
             logError('Failed to save approval changes');
@@ -173,6 +262,36 @@ async function approveInvoice(invoiceNumber, userId = 'unknown', comments = '')
     }
 }
 
+/**
+ * Save the sign-off of an approval step that is not the last one; the invoice stays pending
+ * @param {Array} pendingInvoices - Pending invoices
+ * @param {number} invoiceIndex - Position of the invoice in pendingInvoices
+ * @param {Object} invoice - Invoice with the sign-off added to its approvals
+ * @param {Object} signedOffStep - { step, stepName, stepNumber, stepCount }
+ * @param {string} userId - User signing off
+ * @param {string} comments - Approval comments
+ * @returns {boolean} Success status
+ */
+async function saveApprovalStep(pendingInvoices, invoiceIndex, invoice, signedOffStep, userId, comments) {
+    const invoiceNumber = invoice.invoiceNumber;
+    pendingInvoices[invoiceIndex] = { ...invoice, lastModified: new Date().toISOString() };
+
+    if (!await saveToIndexedDB(CACHE_KEYS.PENDING, pendingInvoices)) {
+        logError('Failed to save approval step');
+        return false;
+    }
+
+    logInfo(`Approval step ${signedOffStep.stepNumber}/${signedOffStep.stepCount} (${signedOffStep.stepName}) signed off: ${invoiceNumber} by ${userId}`);
+    const signedOff = invoice.approvals.map(approval => approval.stepName || approval.step);
+    await recordInvoiceAuditEvent(invoiceNumber, 'stepApproved', {
+        user: userId,
+        changes: [{ field: 'approvals', before: signedOff.slice(0, -1).join(', ') || null, after: signedOff.join(', ') }],
+        reason: comments,
+        details: signedOffStep
+    });
+    return true;
+}
+
 /**
  * Reject an invoice (move from pending to rejected)
  * @param {string} invoiceNumber - Invoice number to reject
@@ -216,6 +335,11 @@ async function rejectInvoice(invoiceNumber, userId = 'unknown', comments = '') {
 
         if (pendingSaved && rejectedSaved) {
             logInfo(`Invoice rejected: ${invoiceNumber} by ${userId}`);
+            await recordInvoiceAuditEvent(invoiceNumber, 'rejected', {
+                user: userId,
+                changes: [{ field: 'status', before: invoice.status || 'pending', after: 'rejected' }],
+                reason: comments
+            });
             return true;
         } else {
             logError('Failed to save rejection changes');
@@ -228,6 +352,106 @@ async function rejectInvoice(invoiceNumber, userId = 'unknown', comments = '') {
     }
 }
 
+/**
+ * Reopen an approved or rejected invoice (move it back to pending). The decision, including the line
+ * item decisions, is kept in the invoice's decisionHistory and the reopening is recorded in the audit log.
+ * @param {string} invoiceNumber - Invoice number to reopen
+ * @param {string} userId - User reopening the invoice
+ * @param {string} reason - Why the decision is reverted (required)
+ * @returns {boolean} Success status
+ */
+async function reopenInvoice(invoiceNumber, userId = 'unknown', reason = '') {
+    try {
+        if (!reason || !reason.trim()) {
+            logError(`reopenInvoice: A reason is required to reopen ${invoiceNumber}`);
+            return false;
+        }
+
+        const pendingInvoices = await getPendingInvoices();
+        if (pendingInvoices.some(inv => inv.invoiceNumber === invoiceNumber)) {
+            logError(`Invoice is already pending: ${invoiceNumber}`);
+            return false;
+        }
+
+        // Look in approved first, then rejected
+        let key = CACHE_KEYS.APPROVED;
+        let settledInvoices = await getApprovedInvoices();
+        let invoiceIndex = settledInvoices.findIndex(inv => inv.invoiceNumber === invoiceNumber);
+        if (invoiceIndex === -1) {
+            key = CACHE_KEYS.REJECTED;
+            settledInvoices = await getRejectedInvoices();
+            invoiceIndex = settledInvoices.findIndex(inv => inv.invoiceNumber === invoiceNumber);
+        }
+
+        if (invoiceIndex === -1) {
+            logError(`Invoice not found in approved or rejected: ${invoiceNumber}`);
+            return false;
+        }
+
+        const invoice = settledInvoices[invoiceIndex];
+        const { approvalDate, approvedBy, rejectionDate, rejectedBy, comments, approvals, approvalState, approvedAmount, disputedAmount, ...invoiceWithoutDecision } = invoice;
+        const reopenedDate = new Date().toISOString();
+
+        // Line decisions belong to the reverted decision; the reopened invoice is reviewed line by line again
+        const lineApprovals = (invoice.fullInvoiceData || [])
+            .filter(item => item.lineApproval)
+            .map(item => ({ position: item.position || null, ...item.lineApproval }));
+        if (Array.isArray(invoiceWithoutDecision.fullInvoiceData)) {
+            invoiceWithoutDecision.fullInvoiceData = invoiceWithoutDecision.fullInvoiceData.map(({ lineApproval, ...item }) => item);
+        }
+
+        const reopenedInvoice = {
+            ...invoiceWithoutDecision,
+            status: 'pending',
+            source: 'reopened',
+            decisionHistory: [
+                ...(invoice.decisionHistory || []),
+                {
+                    status: invoice.status,
+                    date: approvalDate || rejectionDate || null,
+                    by: approvedBy || rejectedBy || null,
+                    comments: comments || '',
+                    approvals: approvals || [],
+                    approvalState: approvalState || null,
+                    approvedAmount: approvedAmount ?? null,
+                    lineApprovals: lineApprovals,
+                    reopenedDate: reopenedDate,
+                    reopenedBy: userId,
+                    reopenReason: reason
+                }
+            ],
+            lastModified: reopenedDate
+        };
+
+        // Remove from approved / rejected
+        settledInvoices.splice(invoiceIndex, 1);
+
+        // Add to pending
+        pendingInvoices.push(reopenedInvoice);
+
+        // Save both arrays, pending first: a failure in between leaves the invoice in both lists, not in none
+        const pendingSaved = await saveToIndexedDB(CACHE_KEYS.PENDING, pendingInvoices);
+        const settledSaved = pendingSaved && await saveToIndexedDB(key, settledInvoices);
+
+        if (settledSaved && pendingSaved) {
+            logInfo(`Invoice reopened: ${invoiceNumber} by ${userId} (was ${invoice.status})`);
+            await recordInvoiceAuditEvent(invoiceNumber, 'reopened', {
+                user: userId,
+                changes: [{ field: 'status', before: invoice.status, after: 'pending' }],
+                reason: reason
+            });
+            return true;
+        } else {
+            logError('Failed to save reopen changes');
+            return false;
+        }
+
+    } catch (error) {
+        logError('Error reopening invoice:', error);
+        return false;
+    }
+}
+
 /**
  * Get all approved invoices from cache
  * @returns {Array} Array of approved invoice summaries
@@ -371,7 +595,8 @@ function mergeInvoiceData(existingInvoice, uploadedInvoice) {
 // ===== PROJECT CALCULATION FUNCTIONS =====
 
 /**
- * Calculate project totals excluding rejected invoices
+ * Calculate project totals excluding rejected invoices. totalApproved holds the approved amounts of
+ * approved invoices (disputed line items excluded, see summarizeLineItemApprovals), totalDisputed the rest.
  * @param {Array} invoices - Array of invoices to calculate
  * @returns {Object} Project totals grouped by WBS/Project ID
  */
@@ -400,8 +625,12 @@ function calculateProjectTotals(invoices) {
                     projectId: projectId,
                     projectName: getProjectName(invoice),
                     totalInvoiced: 0,
+                    totalApproved: 0,
+                    totalDisputed: 0,
                     pendingCount: 0,
                     approvedCount: 0,
+                    partiallyApprovedCount: 0,
+                    disputedCount: 0,
                     rejectedCount: 0,
                     invoices: []
                 };
@@ -412,7 +641,14 @@ function calculateProjectTotals(invoices) {
             
             // Count by status
             if (invoice.status === 'pending') projectGroups[projectId].pendingCount++;
-            if (invoice.status === 'approved') projectGroups[projectId].approvedCount++;
+            if (invoice.status === 'approved') {
+                const approvedAmount = getApprovedInvoiceAmount(invoice);
+                projectGroups[projectId].approvedCount++;
+                projectGroups[projectId].totalApproved += approvedAmount;
+                projectGroups[projectId].totalDisputed += invoiceTotal - approvedAmount;
+                if (invoice.approvalState === 'partiallyApproved') projectGroups[projectId].partiallyApprovedCount++;
+                if (invoice.approvalState === 'disputed') projectGroups[projectId].disputedCount++;
+            }
         });
         
         logInfo(`Calculated totals for ${Object.keys(projectGroups).length} projects`);
@@ -455,6 +691,544 @@ function aggregateByWBS(invoices) {
     }
 }
 
+// ===== CREDIT NOTE LINKING =====
+
+/**
+ * Get the number of the invoice a credit note corrects
+ * @param {Object} invoice - Cache entry
+ * @returns {string|null} Original invoice number, null for invoices and unlinked credit notes
+ */
+function getOriginalInvoiceNumber(invoice) {
+    if (invoice.originalInvoiceNumber) return invoice.originalInvoiceNumber;
+    if (invoice.fullInvoiceData && invoice.fullInvoiceData[0] && invoice.fullInvoiceData[0].creditNote) {
+        return invoice.fullInvoiceData[0].originalInvoiceNumber || null;
+    }
+    return null;
+}
+
+/**
+ * Check whether a cache entry is a credit note
+ * @param {Object} invoice - Cache entry
+ * @returns {boolean} True for credit notes
+ */
+function isCreditNoteInvoice(invoice) {
+    if (typeof invoice.creditNote === 'boolean') return invoice.creditNote;
+    if (invoice.fullInvoiceData && invoice.fullInvoiceData[0]) return !!invoice.fullInvoiceData[0].creditNote;
+    return !!(invoice.summary && invoice.summary.creditNote);
+}
+
+/**
+ * Link pending credit notes and the invoices they correct, in place. Credit notes get
+ * originalInvoiceStatus (status of the original in the cache, null if it is not cached);
+ * invoices get creditNoteNumbers.
+ * @param {Array} pendingInvoices - Pending cache entries (updated)
+ * @param {Array} settledInvoices - Approved and rejected cache entries (read only)
+ */
+function linkCreditNotes(pendingInvoices, settledInvoices = []) {
+    const allInvoices = [...pendingInvoices, ...settledInvoices];
+
+    pendingInvoices.forEach(entry => {
+        const originalNumber = getOriginalInvoiceNumber(entry);
+        if (isCreditNoteInvoice(entry)) {
+            const original = originalNumber
+                ? allInvoices.find(invoice => getInvoiceNumber(invoice) === originalNumber && !isCreditNoteInvoice(invoice))
+                : null;
+            entry.originalInvoiceNumber = originalNumber;
+            entry.originalInvoiceStatus = original ? original.status : null;
+        } else {
+            entry.creditNoteNumbers = allInvoices
+                .filter(invoice => isCreditNoteInvoice(invoice) && getOriginalInvoiceNumber(invoice) === getInvoiceNumber(entry))
+                .map(invoice => getInvoiceNumber(invoice));
+        }
+    });
+}
+
+/**
+ * Net invoiced amount per original invoice: its total less all linked credit notes.
+ * Credit notes whose original is not in the list still get an entry (originalCached false).
+ * @param {Array} invoices - Cache entries; leave out rejected invoices
+ * @returns {Object} Keyed by original invoice number:
+ *   { invoiceNumber, invoicedAmount, creditedAmount, netAmount, creditNoteNumbers, originalCached }
+ */
+function calculateNetInvoicedAmounts(invoices) {
+    const netAmounts = {};
+    const entryFor = invoiceNumber => {
+        if (!netAmounts[invoiceNumber]) {
+            netAmounts[invoiceNumber] = {
+                invoiceNumber: invoiceNumber,
+                invoicedAmount: 0,
+                creditedAmount: 0,
+                netAmount: 0,
+                creditNoteNumbers: [],
+                originalCached: false
+            };
+        }
+        return netAmounts[invoiceNumber];
+    };
+
+    invoices.forEach(invoice => {
+        const total = getInvoiceTotal(invoice);
+        if (isCreditNoteInvoice(invoice)) {
+            const originalNumber = getOriginalInvoiceNumber(invoice);
+            if (!originalNumber) return;
+            // Credit note totals are negative once corrected, positive as printed
+            const entry = entryFor(originalNumber);
+            entry.creditedAmount -= Math.abs(total);
+            entry.creditNoteNumbers.push(getInvoiceNumber(invoice));
+        } else {
+            const entry = entryFor(getInvoiceNumber(invoice));
+            entry.invoicedAmount += total;
+            entry.originalCached = true;
+        }
+    });
+
+    Object.values(netAmounts).forEach(entry => {
+        entry.netAmount = roundToDecimals(entry.invoicedAmount + entry.creditedAmount);
+    });
+
+    return netAmounts;
+}
+
+// ===== COST TYPE RECLASSIFICATION =====
+
+/**
+ * Re-run the cost type rules on all cached invoices (pending, approved and rejected)
+ * without re-uploading the PDFs. Line items classified by hand keep their cost type.
+ * @param {Array} rules - Cost type rules, defaults to the active rule table (cost-type-rules.js)
+ * @returns {Promise<Object>} { invoiceCount, changedItems }
+ */
+async function reclassifyCachedInvoices(rules = getCostTypeRules()) {
+    let invoiceCount = 0;
+    let changedItems = 0;
+
+    try {
+        for (const key of [CACHE_KEYS.PENDING, CACHE_KEYS.APPROVED, CACHE_KEYS.REJECTED]) {
+            const invoices = await loadFromIndexedDB(key, []);
+            let changedInKey = 0;
+
+            const auditEvents = [];
+            invoices.forEach(invoice => {
+                const before = (invoice.fullInvoiceData || []).map(item => ({ ...item }));
+                const changed = applyCostTypeRules(invoice.fullInvoiceData || [], rules);
+                if (changed > 0) {
+                    invoice.lastModified = new Date().toISOString();
+                    if (invoice.summary) invoice.summary = extractInvoiceSummary(invoice.fullInvoiceData);
+                    auditEvents.push({ invoiceNumber: invoice.invoiceNumber, changes: diffLineItems(before, invoice.fullInvoiceData) });
+                }
+                changedInKey += changed;
+            });
+
+            // Rule ids are recorded even when no cost type changed, so always save
+            if (invoices.length > 0 && await saveToIndexedDB(key, invoices)) {
+                for (const event of auditEvents) {
+                    await recordInvoiceAuditEvent(event.invoiceNumber, 'edited', { changes: event.changes, reason: 'Cost type rules changed' });
+                }
+            }
+            invoiceCount += invoices.length;
+            changedItems += changedInKey;
+        }
+
+        logInfo(`Reclassified ${invoiceCount} cached invoices: ${changedItems} line items changed cost type`);
+    } catch (error) {
+        logError('Error reclassifying cached invoices:', error);
+    }
+
+    return { invoiceCount, changedItems };
+}
+
+// ===== INVOICE EDITS =====
+
+/**
+ * Change the invoice date (and month of invoice) of a pending invoice
+ * @param {string} invoiceNumber - Pending invoice
+ * @param {string} newDate - New date in dd.mm.yyyy format
+ * @param {string} userId - User making the change
+ * @param {string} reason - Why the date was changed
+ * @returns {Promise<boolean>} Success status
+ */
+async function updatePendingInvoiceDate(invoiceNumber, newDate, userId = 'unknown', reason = '') {
+    try {
+        const pendingInvoices = await getPendingInvoices();
+        const invoice = pendingInvoices.find(inv => inv.invoiceNumber === invoiceNumber);
+
+        if (!invoice || !invoice.fullInvoiceData || !invoice.fullInvoiceData[0]) {
+            logError(`Invoice not found in pending or without line items: ${invoiceNumber}`);
+            return false;
+        }
+
+        const firstItem = invoice.fullInvoiceData[0];
+        const before = { dateOfInvoice: firstItem.dateOfInvoice ?? null, monthOfInvoice: firstItem.monthOfInvoice ?? null };
+
+        const dateParts = newDate.split('.');
+        const monthNames = ['', 'January', 'February', 'March', 'April', 'May', 'June',
+                            'July', 'August', 'September', 'October', 'November', 'December'];
+        firstItem.dateOfInvoice = newDate;
+        firstItem.monthOfInvoice = `${monthNames[parseInt(dateParts[1])] || 'Unknown'} ${dateParts[2]}`;
+        invoice.summary = extractInvoiceSummary(invoice.fullInvoiceData);
+        invoice.lastModified = new Date().toISOString();
+
+        if (!await saveToIndexedDB(CACHE_KEYS.PENDING, pendingInvoices)) return false;
+
+        logInfo(`Invoice ${invoiceNumber} date changed to ${newDate} by ${userId}`);
+        await recordInvoiceAuditEvent(invoiceNumber, 'dateChanged', {
+            user: userId,
+            changes: [
+                { field: 'dateOfInvoice', before: before.dateOfInvoice, after: firstItem.dateOfInvoice },
+                { field: 'monthOfInvoice', before: before.monthOfInvoice, after: firstItem.monthOfInvoice }
+            ],
+            reason: reason
+        });
+        return true;
+
+    } catch (error) {
+        logError('Error updating invoice date:', error);
+        return false;
+    }
+}
+
+/**
+ * Replace the line items of a pending invoice with edited ones (processor review table)
+ * @param {string} invoiceNumber - Pending invoice
+ * @param {Array} lineItems - All line items of the invoice after the edit
+ * @param {string} userId - User making the change
+ * @param {string} reason - Why the invoice was edited
+ * @returns {Promise<boolean>} True if saved; false also when the invoice is not pending
+ */
+async function updatePendingInvoiceLineItems(invoiceNumber, lineItems, userId = 'unknown', reason = '') {
+    try {
+        const pendingInvoices = await getPendingInvoices();
+        const invoice = pendingInvoices.find(inv => inv.invoiceNumber === invoiceNumber);
+        if (!invoice) return false;
+
+        const changes = diffLineItems(invoice.fullInvoiceData || [], lineItems);
+        if (changes.length === 0) return true;
+
+        // The processor does not know line item decisions; keep them for positions that stayed in place
+        const previousItems = invoice.fullInvoiceData || [];
+        invoice.fullInvoiceData = lineItems.map((item, index) => {
+            const previous = previousItems[index];
+            return previous && previous.lineApproval && !item.lineApproval && previous.position === item.position
+                ? { ...item, lineApproval: previous.lineApproval }
+                : { ...item };
+        });
+        invoice.summary = extractInvoiceSummary(invoice.fullInvoiceData);
+        invoice.lastModified = new Date().toISOString();
+
+        if (!await saveToIndexedDB(CACHE_KEYS.PENDING, pendingInvoices)) return false;
+
+        await recordInvoiceAuditEvent(invoiceNumber, 'edited', { user: userId, changes: changes, reason: reason });
+        return true;
+
+    } catch (error) {
+        logError('Error updating invoice line items:', error);
+        return false;
+    }
+}
+
+// ===== LINE ITEM APPROVAL =====
+
+/**
+ * Line item decision format (lineApproval on a fullInvoiceData item):
+ * {
+ *     status: 'disputed',                       // Key of LINE_ITEM_DECISIONS
+ *     reason: 'Hours not in PPM',               // Required for disputes
+ *     by: 'Jane Doe <jane.doe@example.com>',  // Identity of the user profile that decided
+ *     date: '2025-04-15T09:30:00.000Z'
+ * }
+ *
+ * Decisions are made on pending invoices; lines without one are approved with the invoice. The approved
+ * invoice gets approvalState (approved, partiallyApproved or disputed), approvedAmount and disputedAmount.
+ * Reopening moves the line decisions into the decisionHistory entry (lineApprovals, with the position).
+ */
+const LINE_ITEM_DECISIONS = {
+    approved: 'Approved',
+    disputed: 'Disputed'
+};
+
+const APPROVAL_STATES = {
+    approved: 'Approved',
+    partiallyApproved: 'Partially approved',
+    disputed: 'Disputed'
+};
+
+/**
+ * Approve or dispute one line item of a pending invoice, or clear its decision
+ * @param {string} invoiceNumber - Pending invoice
+ * @param {number} itemIndex - Position of the line item in fullInvoiceData
+ * @param {string|null} decision - Key of LINE_ITEM_DECISIONS, null to clear the decision
+ * @param {string} userId - User deciding
+ * @param {string} reason - Why (required for disputes)
+ * @returns {Promise<boolean>} Success status
+ */
+async function setLineItemDecision(invoiceNumber, itemIndex, decision, userId = 'unknown', reason = '') {
+    try {
+        if (decision !== null && !LINE_ITEM_DECISIONS[decision]) {
+            logError(`setLineItemDecision: Unknown decision "${decision}"`);
+            return false;
+        }
+        if (decision === 'disputed' && (!reason || !reason.trim())) {
+            logError(`setLineItemDecision: A reason is required to dispute a line item of ${invoiceNumber}`);
+            return false;
+        }
+
+        const pendingInvoices = await getPendingInvoices();
+        const invoice = pendingInvoices.find(inv => inv.invoiceNumber === invoiceNumber);
+        const item = invoice && invoice.fullInvoiceData ? invoice.fullInvoiceData[itemIndex] : null;
+
+        if (!item) {
+            logError(`Line item ${itemIndex} not found in pending invoice ${invoiceNumber}`);
+            return false;
+        }
+
+        const before = item.lineApproval ? item.lineApproval.status : null;
+        if (decision === null) {
+            delete item.lineApproval;
+        } else {
+            item.lineApproval = { status: decision, reason: reason || '', by: userId, date: new Date().toISOString() };
+        }
+        invoice.lastModified = new Date().toISOString();
+
+        if (!await saveToIndexedDB(CACHE_KEYS.PENDING, pendingInvoices)) return false;
+
+        logInfo(`Line item ${item.position || itemIndex + 1} of ${invoiceNumber} ${decision || 'cleared'} by ${userId}`);
+        await recordInvoiceAuditEvent(invoiceNumber, 'lineItemReviewed', {
+            user: userId,
+            changes: [{ field: `Position ${item.position || itemIndex + 1} decision`, before: before, after: decision }],
+            reason: reason
+        });
+        return true;
+
+    } catch (error) {
+        logError('Error deciding line item:', error);
+        return false;
+    }
+}
+
+/**
+ * Approve the line items nobody decided on (on final approval of the invoice)
+ * @param {Array} lineItems - Line items of the invoice
+ * @param {string} userId - User approving the invoice
+ * @param {string} date - Approval date (ISO)
+ * @returns {Array} Line items, each with a lineApproval
+ */
+function settleLineItemApprovals(lineItems, userId, date) {
+    return (lineItems || []).map(item => item.lineApproval
+        ? item
+        : { ...item, lineApproval: { status: 'approved', reason: '', by: userId, date: date } });
+}
+
+/**
+ * Work out the approval state and approved amount of an invoice from its line item decisions.
+ * The approved amount is the invoice total scaled by the approved share of the position totals,
+ * so VAT and rounding on the total are split the same way.
+ * @param {Array} lineItems - Line items of the invoice
+ * @param {number} invoiceTotal - Invoice total
+ * @returns {Object} { approvalState, approvedAmount, disputedAmount, approvedCount, disputedCount }
+ */
+function summarizeLineItemApprovals(lineItems, invoiceTotal) {
+    const items = lineItems || [];
+    const disputed = items.filter(item => item.lineApproval && item.lineApproval.status === 'disputed');
+    const approvedCount = items.length - disputed.length;
+
+    let approvalState = 'approved';
+    if (disputed.length > 0) {
+        approvalState = approvedCount > 0 ? 'partiallyApproved' : 'disputed';
+    }
+
+    const positionSum = items.reduce((sum, item) => sum + (item.positionTotal || 0), 0);
+    const disputedSum = disputed.reduce((sum, item) => sum + (item.positionTotal || 0), 0);
+    let approvedAmount = invoiceTotal;
+    if (approvalState === 'disputed') {
+        approvedAmount = 0;
+    } else if (approvalState === 'partiallyApproved' && positionSum !== 0) {
+        approvedAmount = roundToDecimals(invoiceTotal * (positionSum - disputedSum) / positionSum);
+    }
+
+    return {
+        approvalState: approvalState,
+        approvedAmount: approvedAmount,
+        disputedAmount: roundToDecimals(invoiceTotal - approvedAmount),
+        approvedCount: approvedCount,
+        disputedCount: disputed.length
+    };
+}
+
+/**
+ * Amount of an invoice that counts as invoiced: the approved amount of approved invoices
+ * (less disputed line items), the invoice total otherwise
+ * @param {Object} invoice - Invoice object
+ * @returns {number} Amount
+ */
+function getApprovedInvoiceAmount(invoice) {
+    return invoice.status === 'approved' && typeof invoice.approvedAmount === 'number'
+        ? invoice.approvedAmount
+        : getInvoiceTotal(invoice);
+}
+
+// ===== DUPLICATE SCREENING =====
+
+/**
+ * Add an extracted invoice to the pending cache unless it looks like a duplicate of a cached invoice
+ * under another invoice number (duplicate-detector.js). Suspected duplicates are held back until a
+ * reviewer confirms or dismisses them.
+ * @param {Object} invoiceData - Invoice entry as for addPendingInvoice, with fullInvoiceData
+ * @returns {Promise<Object>} { status: 'pending'|'suspected'|'failed', matches }
+ */
+async function addScreenedPendingInvoice(invoiceData) {
+    try {
+        const candidates = [
+            ...await getPendingInvoices(),
+            ...await getApprovedInvoices(),
+            ...await getRejectedInvoices()
+        ];
+
+        // A re-extracted invoice keeps the "not a duplicate" decisions of its cached version
+        const cachedVersion = candidates.find(invoice => invoice.invoiceNumber === invoiceData.invoiceNumber);
+        const duplicateReview = invoiceData.duplicateReview || (cachedVersion && cachedVersion.duplicateReview) || null;
+
+        const matches = typeof findDuplicateMatches === 'function'
+            ? findDuplicateMatches(invoiceData.fullInvoiceData || [], candidates, duplicateReview ? duplicateReview.dismissed : [])
+            : [];
+
+        if (matches.length === 0) {
+            const added = await addPendingInvoice({ ...invoiceData, duplicateReview: duplicateReview });
+            return { status: added ? 'pending' : 'failed', matches: matches };
+        }
+
+        // Held back; a newer extraction of the same invoice replaces the held one
+        const suspected = (await getSuspectedDuplicates()).filter(entry => entry.invoiceNumber !== invoiceData.invoiceNumber);
+        suspected.push({
+            id: `dup_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+            invoiceNumber: invoiceData.invoiceNumber,
+            fileName: (invoiceData.fullInvoiceData && invoiceData.fullInvoiceData[0] || invoiceData).fileName || null,
+            suspectedDate: new Date().toISOString(),
+            matches: matches,
+            invoiceData: { ...invoiceData, duplicateReview: duplicateReview }
+        });
+
+        const held = await saveToIndexedDB(CACHE_KEYS.SUSPECTED_DUPLICATES, suspected);
+        logInfo(`Held suspected duplicate ${invoiceData.invoiceNumber}: matches ${matches.map(match => match.invoiceNumber).join(', ')}`);
+        return { status: held ? 'suspected' : 'failed', matches: matches };
+
+    } catch (error) {
+        logError('Error screening invoice for duplicates:', error);
+        return { status: 'failed', matches: [] };
+    }
+}
+
+/**
+ * Get the invoices held back as suspected duplicates
+ * @returns {Promise<Array>} { id, invoiceNumber, fileName, suspectedDate, matches, invoiceData }
+ */
+async function getSuspectedDuplicates() {
+    try {
+        return await loadFromIndexedDB(CACHE_KEYS.SUSPECTED_DUPLICATES, []);
+    } catch (error) {
+        logError('Error getting suspected duplicates:', error);
+        return [];
+    }
+}
+
+/**
+ * Confirm a suspected duplicate: it is discarded and never enters the pending queue
+ * @param {string} suspectId - Id of the held entry
+ * @param {string} userId - User who reviewed it
+ * @returns {Promise<Object|null>} The discarded entry, null if not found
+ */
+async function confirmSuspectedDuplicate(suspectId, userId = 'unknown') {
+    const suspected = await getSuspectedDuplicates();
+    const entry = suspected.find(item => item.id === suspectId);
+    if (!entry) {
+        logError(`Suspected duplicate not found: ${suspectId}`);
+        return null;
+    }
+
+    const duplicateOf = entry.matches.map(match => match.invoiceNumber).join(', ');
+    await saveToIndexedDB(CACHE_KEYS.SUSPECTED_DUPLICATES, suspected.filter(item => item !== entry));
+    logInfo(`Discarded duplicate ${entry.invoiceNumber} (duplicate of ${duplicateOf})`);
+    await recordInvoiceAuditEvent(entry.invoiceNumber, 'duplicateDiscarded', {
+        user: userId,
+        reason: `Duplicate of ${duplicateOf}`,
+        details: { fileName: entry.fileName }
+    });
+    return entry;
+}
+
+/**
+ * Dismiss a suspected duplicate: it is not a duplicate and moves to the pending queue. The
+ * decision is recorded, so the same pairs are not reported again.
+ * @param {string} suspectId - Id of the held entry
+ * @param {string} userId - User who reviewed it
+ * @returns {Promise<boolean>} Success status
+ */
+async function dismissSuspectedDuplicate(suspectId, userId = 'unknown') {
+    const suspected = await getSuspectedDuplicates();
+    const entry = suspected.find(item => item.id === suspectId);
+    if (!entry) {
+        logError(`Suspected duplicate not found: ${suspectId}`);
+        return false;
+    }
+
+    const previousReview = entry.invoiceData.duplicateReview || { dismissed: [] };
+    const added = await addPendingInvoice({
+        ...entry.invoiceData,
+        duplicateReview: {
+            dismissed: [...new Set([...previousReview.dismissed, ...entry.matches.map(match => match.invoiceNumber)])],
+            reviewedBy: userId,
+            reviewedDate: new Date().toISOString()
+        }
+    }, { user: userId, reason: `Not a duplicate of ${entry.matches.map(match => match.invoiceNumber).join(', ')}` });
+    if (!added) return false;
+
+    return saveToIndexedDB(CACHE_KEYS.SUSPECTED_DUPLICATES, suspected.filter(item => item !== entry));
+}
+
+// ===== CACHE SCHEMA MIGRATIONS =====
+
+/**
+ * Ordered upgrade steps for cached invoice entries, run by i2e-common.js when the database is
+ * opened (registerDataMigration). Schema 1 is every cache written before versioning.
+ */
+const CACHE_MIGRATIONS = [
+    {
+        version: 2,
+        description: 'Pending, approved and rejected invoices all carry invoiceNumber, status, fullInvoiceData and summary',
+        keys: [CACHE_KEYS.PENDING, CACHE_KEYS.APPROVED, CACHE_KEYS.REJECTED],
+        migrate: values => {
+            // Pending entries had no summary; approved and rejected entries from before IndexedDB had no line items
+            const upgradeEntry = (entry, status) => {
+                const fullInvoiceData = Array.isArray(entry.fullInvoiceData) ? entry.fullInvoiceData : [];
+                const summary = fullInvoiceData.length > 0 ? extractInvoiceSummary(fullInvoiceData) : (entry.summary || {});
+                return {
+                    ...entry,
+                    invoiceNumber: getInvoiceNumber(entry),
+                    status: status,
+                    creditNote: !!summary.creditNote,
+                    originalInvoiceNumber: summary.creditNote ? (summary.originalInvoiceNumber || null) : null,
+                    duplicateReview: entry.duplicateReview || null,
+                    fullInvoiceData: fullInvoiceData,
+                    summary: summary
+                };
+            };
+            const upgradeList = (entries, status) => Array.isArray(entries) ? entries.map(entry => upgradeEntry(entry, status)) : entries;
+
+            return {
+                [CACHE_KEYS.PENDING]: upgradeList(values[CACHE_KEYS.PENDING], 'pending'),
+                [CACHE_KEYS.APPROVED]: upgradeList(values[CACHE_KEYS.APPROVED], 'approved'),
+                [CACHE_KEYS.REJECTED]: upgradeList(values[CACHE_KEYS.REJECTED], 'rejected')
+            };
+        }
+    }
+];
+
+if (CACHE_MIGRATIONS[CACHE_MIGRATIONS.length - 1].version !== CACHE_VERSION) {
+    console.error(`CACHE_VERSION ${CACHE_VERSION} does not match the last cache migration (${CACHE_MIGRATIONS[CACHE_MIGRATIONS.length - 1].version})`);
+}
+
+if (typeof registerDataMigration === 'function') {
+    CACHE_MIGRATIONS.forEach(registerDataMigration);
+}
+
 // ===== UTILITY FUNCTIONS =====
 
 /**
@@ -467,6 +1241,7 @@ async function clearCache() {
         await removeFromIndexedDB(CACHE_KEYS.PENDING);
         await removeFromIndexedDB(CACHE_KEYS.APPROVED);
         await removeFromIndexedDB(CACHE_KEYS.REJECTED);
+        await removeFromIndexedDB(CACHE_KEYS.SUSPECTED_DUPLICATES);
         
         // Also clear any legacy localStorage invoice data 
         localStorage.removeItem(CACHE_KEYS.PENDING);
@@ -491,6 +1266,7 @@ async function getCacheStats() {
         const pending = await getPendingInvoices() || [];
         const approved = await getApprovedInvoices() || [];
         const rejected = await getRejectedInvoices() || [];
+        const suspected = await getSuspectedDuplicates() || [];
         
         // Ensure all values are arrays
         const safePending = Array.isArray(pending) ? pending : [];
@@ -507,7 +1283,8 @@ async function getCacheStats() {
                 pending: safePending.length,
                 approved: safeApproved.length,
                 rejected: safeRejected.length,
-                total: safePending.length + safeApproved.length + safeRejected.length
+                total: safePending.length + safeApproved.length + safeRejected.length,
+                suspectedDuplicates: Array.isArray(suspected) ? suspected.length : 0
             },
             sizes: {
                 pending: pendingSize,
@@ -527,7 +1304,7 @@ async function getCacheStats() {
     } catch (error) {
         logError('Error getting cache stats:', error);
         return {
-            counts: { pending: 0, approved: 0, rejected: 0, total: 0 },
+            counts: { pending: 0, approved: 0, rejected: 0, total: 0, suspectedDuplicates: 0 },
             sizes: { total: 0, totalMB: '0.00' },
             error: error.message
         };
@@ -544,12 +1321,18 @@ async function exportCacheToExcel() {
         const exportData = [];
         
         allInvoices.forEach(invoice => {
-            if (invoice.fullInvoiceData && Array.isArray(invoice.fullInvoiceData)) {
-                // Pending invoices have full data
+            if (Array.isArray(invoice.fullInvoiceData) && invoice.fullInvoiceData.length > 0) {
+                // Invoices with their line items
                 invoice.fullInvoiceData.forEach(lineItem => {
+                    const { lineApproval, ...item } = lineItem;
                     exportData.push({
-                        ...lineItem,
+                        ...item,
+                        lineApprovalStatus: lineApproval ? lineApproval.status : '',
+                        lineApprovalReason: lineApproval ? lineApproval.reason : '',
                         approvalStatus: invoice.status,
+                        approvalState: invoice.approvalState || '',
+                        approvedAmount: invoice.status === 'approved' ? getApprovedInvoiceAmount(invoice) : '',
+                        disputedAmount: invoice.disputedAmount ?? '',
                         approvalDate: invoice.approvalDate || invoice.rejectionDate || '',
                         approvedBy: invoice.approvedBy || invoice.rejectedBy || '',
                         comments: invoice.comments || '',
@@ -558,10 +1341,13 @@ async function exportCacheToExcel() {
                     });
                 });
             } else if (invoice.summary) {
-                // Approved/rejected invoices have summary only
+                // Invoices approved or rejected before line items were kept have a summary only
                 exportData.push({
                     ...invoice.summary,
                     approvalStatus: invoice.status,
+                    approvalState: invoice.approvalState || '',
+                    approvedAmount: invoice.status === 'approved' ? getApprovedInvoiceAmount(invoice) : '',
+                    disputedAmount: invoice.disputedAmount ?? '',
                     approvalDate: invoice.approvalDate || invoice.rejectionDate || '',
                     approvedBy: invoice.approvedBy || invoice.rejectedBy || '',
                     comments: invoice.comments || '',
@@ -605,11 +1391,84 @@ function extractInvoiceSummary(fullInvoiceData) {
         monthOfInvoice: firstItem.monthOfInvoice,
         currency: firstItem.currency,
         totalAmount: totalAmount,
+        netAmount: firstItem.netAmount ?? null,
+        vatAmount: firstItem.vatAmount ?? null,
+        grossAmount: firstItem.grossAmount ?? null,
+        vatBreakdown: firstItem.vatBreakdown || [],
+        servicePeriodRange: mergeServicePeriodRanges(fullInvoiceData.map(item => item.servicePeriodRange)),
+        parseWarnings: firstItem.parseWarnings || [],
         creditNote: firstItem.creditNote,
+        originalInvoiceNumber: firstItem.originalInvoiceNumber || null,
+        supplierId: firstItem.supplierId || null,
+        supplierName: firstItem.supplierName || null,
+        supplierVatId: firstItem.supplierVatId || null,
         lineItemCount: fullInvoiceData.length
     };
 }
 
+/**
+ * Append an event to the audit log when i2e-audit-log.js is loaded
+ * @param {string} invoiceNumber - Invoice
+ * @param {string} type - Event type (AUDIT_EVENT_TYPES)
+ * @param {Object} event - { user, changes, reason, details }
+ */
+async function recordInvoiceAuditEvent(invoiceNumber, type, event) {
+    if (typeof recordAuditEvent === 'function') {
+        await recordAuditEvent(invoiceNumber, type, event);
+    }
+}
+
+/**
+ * Invoice-level differences between two cache entries of the same invoice
+ * @param {Object} before - Cached entry
+ * @param {Object} after - New entry
+ * @returns {Array} Changes { field, before, after }
+ */
+function diffInvoiceEntries(before, after) {
+    if (typeof diffAuditFields !== 'function') return [];
+
+    const beforeSummary = extractInvoiceSummary(before.fullInvoiceData);
+    const afterSummary = extractInvoiceSummary(after.fullInvoiceData);
+    return [
+        ...diffAuditFields(beforeSummary, afterSummary, AUDITED_SUMMARY_FIELDS),
+        ...diffLineItems(before.fullInvoiceData || [], after.fullInvoiceData || [])
+    ];
+}
+
+/**
+ * Line item differences, matched by position number ("Position 0010 positionTotal")
+ * @param {Array} beforeItems - Old line items
+ * @param {Array} afterItems - New line items
+ * @returns {Array} Changes { field, before, after }; added and removed positions as a whole
+ */
+function diffLineItems(beforeItems, afterItems) {
+    if (typeof diffAuditFields !== 'function') return [];
+
+    const describe = item => `${item.positionDescription || ''} (${item.positionTotal ?? ''})`;
+    const byPosition = items => {
+        const map = new Map();
+        items.filter(item => item.positionDescription).forEach((item, index) => map.set(item.position || `#${index + 1}`, item));
+        return map;
+    };
+    const before = byPosition(beforeItems);
+    const after = byPosition(afterItems);
+    const changes = [];
+
+    after.forEach((item, position) => {
+        const previous = before.get(position);
+        if (!previous) {
+            changes.push({ field: `Position ${position}`, before: null, after: describe(item) });
+        } else {
+            changes.push(...diffAuditFields(previous, item, AUDITED_LINE_ITEM_FIELDS, `Position ${position} `));
+        }
+    });
+    before.forEach((item, position) => {
+        if (!after.has(position)) changes.push({ field: `Position ${position}`, before: describe(item), after: null });
+    });
+
+    return changes;
+}
+
 /**
  * Get invoice number from various invoice formats
  * @param {Object} invoice - Invoice object
@@ -642,6 +1501,20 @@ function getProjectId(invoice) {
     return '';
 }
 
+/**
+ * Get the registered supplier of an invoice (supplier-registry.js). Invoices extracted before
+ * the supplier was registered are resolved by their supplier VAT ID or name.
+ * @param {Object} invoice - Invoice object
+ * @returns {Object|null} Registered supplier
+ */
+function getInvoiceSupplier(invoice) {
+    if (typeof resolveInvoiceSupplier !== 'function') return null;
+
+    const invoiceInfo = (invoice.fullInvoiceData && invoice.fullInvoiceData[0]) || invoice.summary || invoice;
+    return getSupplierById(invoiceInfo.supplierId) ||
+        (resolveInvoiceSupplier(null, invoiceInfo) || {}).supplier || null;
+}
+
 /**
  * Get project name from project ID
  * @param {Object} invoice - Invoice object
@@ -696,6 +1569,7 @@ if (typeof window !== 'undefined') {
     window.getPendingInvoices = getPendingInvoices;
     window.approveInvoice = approveInvoice;
     window.rejectInvoice = rejectInvoice;
+    window.reopenInvoice = reopenInvoice;
     window.getApprovedInvoices = getApprovedInvoices;
     window.getRejectedInvoices = getRejectedInvoices;
     
@@ -708,6 +1582,31 @@ if (typeof window !== 'undefined') {
     // Project calculations
     window.calculateProjectTotals = calculateProjectTotals;
     window.aggregateByWBS = aggregateByWBS;
+    window.reclassifyCachedInvoices = reclassifyCachedInvoices;
+    
+    // Credit notes
+    window.linkCreditNotes = linkCreditNotes;
+    window.calculateNetInvoicedAmounts = calculateNetInvoicedAmounts;
+    window.getOriginalInvoiceNumber = getOriginalInvoiceNumber;
+    window.isCreditNoteInvoice = isCreditNoteInvoice;
+    
+    // Suppliers
+    window.getInvoiceSupplier = getInvoiceSupplier;
+    
+    // Invoice edits
+    window.updatePendingInvoiceDate = updatePendingInvoiceDate;
+    window.updatePendingInvoiceLineItems = updatePendingInvoiceLineItems;
+    
+    // Line item approval
+    window.setLineItemDecision = setLineItemDecision;
+    window.summarizeLineItemApprovals = summarizeLineItemApprovals;
+    window.getApprovedInvoiceAmount = getApprovedInvoiceAmount;
+    
+    // Duplicate screening
+    window.addScreenedPendingInvoice = addScreenedPendingInvoice;
+    window.getSuspectedDuplicates = getSuspectedDuplicates;
+    window.confirmSuspectedDuplicate = confirmSuspectedDuplicate;
+    window.dismissSuspectedDuplicate = dismissSuspectedDuplicate;
     
     // Utilities
     window.clearCache = clearCache;
@@ -725,6 +1624,7 @@ if (typeof module !== 'undefined' && module.exports) {
         getPendingInvoices,
         approveInvoice,
         rejectInvoice,
+        reopenInvoice,
         getApprovedInvoices,
         getRejectedInvoices,
         
@@ -737,6 +1637,32 @@ if (typeof module !== 'undefined' && module.exports) {
         // Project calculations
         calculateProjectTotals,
         aggregateByWBS,
+        reclassifyCachedInvoices,
+        
+        // Credit notes
+        linkCreditNotes,
+        calculateNetInvoicedAmounts,
+        getOriginalInvoiceNumber,
+        isCreditNoteInvoice,
+        
+        // Suppliers
+        getInvoiceSupplier,
+        
+        // Invoice edits
+        updatePendingInvoiceDate,
+        updatePendingInvoiceLineItems,
+        
+        // Line item approval
+        setLineItemDecision,
+        settleLineItemApprovals,
+        summarizeLineItemApprovals,
+        getApprovedInvoiceAmount,
+        
+        // Duplicate screening
+        addScreenedPendingInvoice,
+        getSuspectedDuplicates,
+        confirmSuspectedDuplicate,
+        dismissSuspectedDuplicate,
         
         // Utilities
         clearCache,
@@ -745,6 +1671,9 @@ if (typeof module !== 'undefined' && module.exports) {
         
         // Constants
         CACHE_KEYS,
-        CACHE_VERSION
+        CACHE_VERSION,
+        CACHE_MIGRATIONS,
+        LINE_ITEM_DECISIONS,
+        APPROVAL_STATES
     };
 }
\ No newline at end of file
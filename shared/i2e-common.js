@@ -106,6 +106,22 @@ function formatCurrency(amount, currency = 'EUR') {
     return formatter.format(amount);
 }
 
+/**
+ * Format a VAT breakdown as one line, e.g. "19% (S): 10.000,00 € → 1.900,00 €"
+ * @param {Array} vatBreakdown - Entries { rate, category, basisAmount, taxAmount }
+ * @param {string} currency - Currency code (default: 'EUR')
+ * @returns {string} Formatted breakdown, empty if there is none
+ */
+function formatVatBreakdown(vatBreakdown, currency = 'EUR') {
+    if (!Array.isArray(vatBreakdown) || vatBreakdown.length === 0) return '';
+    
+    return vatBreakdown.map(entry => {
+        const label = `${entry.rate}%${entry.category ? ` (${entry.category})` : ''}`;
+        const basis = entry.basisAmount !== null && entry.basisAmount !== undefined ? formatCurrency(entry.basisAmount, currency) : '?';
+        return `${label}: ${basis} → ${formatCurrency(entry.taxAmount, currency)}`;
+    }).join('; ');
+}
+
 /**
  * Generate unique ID for various purposes
  * @param {string} prefix - Optional prefix for the ID
@@ -132,6 +148,20 @@ function makeCSSClass(str) {
     return str.replace(/[^a-zA-Z0-9_-]/g, '_').toLowerCase();
 }
 
+/**
+ * Escape a string for use in HTML text or attribute values
+ * @param {string} str - Input string
+ * @returns {string} HTML-escaped string
+ */
+function escapeHtml(str) {
+    return String(str ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 // ===== STORAGE UTILITIES =====
 
 /**
@@ -289,6 +319,107 @@ function getCurrentTimestamp() {
     return new Date().toISOString();
 }
 
+/**
+ * Create a service period range { start, end } from two dates
+ * @param {string} start - Start date (YYYY-MM-DD or DD.MM.YYYY)
+ * @param {string} end - End date (YYYY-MM-DD or DD.MM.YYYY), defaults to the start date
+ * @returns {Object|null} Range with ISO dates, or null if a date is invalid
+ */
+function createServicePeriodRange(start, end = start) {
+    const toIsoDate = value => {
+        if (!value) return null;
+        const text = String(value).trim();
+        const isoMatch = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+        const germanMatch = text.match(/^(\d{1,2})[./](\d{1,2})[./](\d{4})$/);
+        const [year, month, day] = isoMatch
+            ? [isoMatch[1], isoMatch[2], isoMatch[3]]
+            : germanMatch ? [germanMatch[3], germanMatch[2], germanMatch[1]] : [];
+        
+        if (!year || parseInt(month, 10) < 1 || parseInt(month, 10) > 12 || parseInt(day, 10) < 1 || parseInt(day, 10) > 31) {
+            return null;
+        }
+        return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+    };
+    
+    const startDate = toIsoDate(start);
+    const endDate = toIsoDate(end);
+    if (!startDate || !endDate) return null;
+    
+    return startDate <= endDate ? { start: startDate, end: endDate } : { start: endDate, end: startDate };
+}
+
+/**
+ * Create a service period range covering whole months
+ * @param {number} year - Start year
+ * @param {number} month - Start month (1-12)
+ * @param {number} endYear - End year (default: start year)
+ * @param {number} endMonth - End month (default: start month)
+ * @returns {Object|null} Range from the first day of the start month to the last day of the end month
+ */
+function createMonthPeriodRange(year, month, endYear = year, endMonth = month) {
+    const lastDay = new Date(Date.UTC(endYear, endMonth, 0)).getUTCDate();
+    return createServicePeriodRange(
+        `${year}-${String(month).padStart(2, '0')}-01`,
+        `${endYear}-${String(endMonth).padStart(2, '0')}-${lastDay}`
+    );
+}
+
+/**
+ * List the calendar months a service period range touches
+ * @param {Object} range - Service period range { start, end }
+ * @returns {Array<Object>} Months { monthName, monthNumber, year, label } in order
+ */
+function getServicePeriodMonths(range) {
+    if (!range || !range.start || !range.end) return [];
+    
+    const monthNames = [
+        'January', 'February', 'March', 'April', 'May', 'June',
+        'July', 'August', 'September', 'October', 'November', 'December'
+    ];
+    const months = [];
+    let year = parseInt(range.start.slice(0, 4), 10);
+    let month = parseInt(range.start.slice(5, 7), 10);
+    const endKey = range.end.slice(0, 7);
+    
+    while (`${year}-${String(month).padStart(2, '0')}` <= endKey && months.length < 120) {
+        months.push({ monthName: monthNames[month - 1], monthNumber: month, year: year, label: `${monthNames[month - 1]} ${year}` });
+        month++;
+        if (month > 12) {
+            month = 1;
+            year++;
+        }
+    }
+    
+    return months;
+}
+
+/**
+ * Label for a service period range: "March 2025" or "January 2024 - March 2024"
+ * @param {Object} range - Service period range { start, end }
+ * @returns {string} Period label ('Unknown Period' without a range)
+ */
+function formatServicePeriodRange(range) {
+    const months = getServicePeriodMonths(range);
+    if (months.length === 0) return 'Unknown Period';
+    if (months.length === 1) return months[0].label;
+    return `${months[0].label} - ${months[months.length - 1].label}`;
+}
+
+/**
+ * Smallest range covering all given service period ranges
+ * @param {Array<Object>} ranges - Service period ranges (nulls are ignored)
+ * @returns {Object|null} Combined range
+ */
+function mergeServicePeriodRanges(ranges) {
+    const validRanges = (ranges || []).filter(range => range && range.start && range.end);
+    if (validRanges.length === 0) return null;
+    
+    return {
+        start: validRanges.map(range => range.start).sort()[0],
+        end: validRanges.map(range => range.end).sort().pop()
+    };
+}
+
 // ===== LOGGING UTILITIES =====
 
 /**
@@ -789,26 +920,51 @@ function isValidWBS(wbsCode) {
  */
 
 let i2eDB = null;
+let i2eDBPromise = null;
+
+// Database layout: object stores. Bump only when stores change; the data inside is versioned below.
+const I2E_DB_NAME = 'I2E_Database';
+const I2E_DB_VERSION = 2;     // 2: auditLog store
+
+// Version of the stored data (invoice entries etc.), kept as a record next to the data it describes
+const DATA_SCHEMA_KEY = 'i2e_schema_version';
+
+// Ordered data migration steps, registered by the modules that own the data (see registerDataMigration)
+const dataMigrations = [];
 
 /**
- * Initialize IndexedDB database
+ * Initialize IndexedDB database. Data migration steps newer than the stored schema version run
+ * before the database is handed out, so every reader sees upgraded data.
  * @returns {Promise<IDBDatabase>} Database instance
  */
 async function initializeIndexedDB() {
     if (i2eDB) return i2eDB;
+    if (i2eDBPromise) return i2eDBPromise;
     
-    return new Promise((resolve, reject) => {
-        const request = indexedDB.open('I2E_Database', 1);
+    i2eDBPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(I2E_DB_NAME, I2E_DB_VERSION);
         
         request.onerror = () => {
             console.error('Failed to open IndexedDB:', request.error);
             reject(request.error);
         };
         
+        request.onblocked = () => {
+            console.warn('IndexedDB upgrade waits for other I2E tabs to close');
+        };
+        
         request.onsuccess = () => {
-            i2eDB = request.result;
+            const db = request.result;
+            
+            // Let a newer page in another tab upgrade the database; this page reopens it on next use
+            db.onversionchange = () => {
+                db.close();
+                i2eDB = null;
+                i2eDBPromise = null;
+            };
+            
             console.log('IndexedDB initialized successfully');
-            resolve(i2eDB);
+            resolve(db);
         };
         
         request.onupgradeneeded = (event) => {
@@ -821,12 +977,125 @@ async function initializeIndexedDB() {
             if (!db.objectStoreNames.contains('invoiceData')) {
                 db.createObjectStore('invoiceData', { keyPath: 'id' });
             }
+            if (!db.objectStoreNames.contains('auditLog')) {
+                // Append-only: entries are added, never updated or deleted (i2e-audit-log.js)
+                const auditLog = db.createObjectStore('auditLog', { keyPath: 'id', autoIncrement: true });
+                auditLog.createIndex('invoiceNumber', 'invoiceNumber', { unique: false });
+            }
             
             console.log('IndexedDB object stores created');
         };
+    }).then(async db => {
+        await runDataMigrations(db);
+        i2eDB = db;
+        return db;
+    }).catch(error => {
+        i2eDBPromise = null;
+        throw error;
     });
+    
+    return i2eDBPromise;
 }
 
+// ===== DATA MIGRATIONS =====
+
+/**
+ * Register a data migration step. Steps run in version order, each once per database, when the
+ * database is opened. A step must be idempotent: a page opened in a second tab may run it again
+ * before the first tab stored the new version.
+ * @param {Object} migration - { version, description, keys, migrate }
+ *   version: schema version the step upgrades to (integer, unique across all modules)
+ *   keys: storage keys the step reads and rewrites
+ *   migrate(values): receives { key: data or undefined } for its keys and returns the upgraded values
+ */
+function registerDataMigration(migration) {
+    if (dataMigrations.some(step => step.version === migration.version)) {
+        console.error(`Data migration ${migration.version} is registered twice`);
+        return;
+    }
+    dataMigrations.push(migration);
+    dataMigrations.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Get the newest data schema version known to this page
+ * @returns {number} Schema version, 1 before any migration
+ */
+function getLatestDataSchemaVersion() {
+    return dataMigrations.length > 0 ? dataMigrations[dataMigrations.length - 1].version : 1;
+}
+
+/**
+ * Run the registered migration steps newer than the stored schema version. All steps are computed
+ * first and written in one transaction with the new version: a failing step leaves the stored data
+ * and version untouched.
+ * @param {IDBDatabase} db - Open database
+ * @returns {Promise<number>} Schema version of the stored data afterwards
+ */
+async function runDataMigrations(db) {
+    const readRecords = keys => new Promise((resolve, reject) => {
+        const transaction = db.transaction(['costData'], 'readonly');
+        const store = transaction.objectStore('costData');
+        const records = {};
+        keys.forEach(key => {
+            store.get(key).onsuccess = event => { records[key] = event.target.result; };
+        });
+        transaction.oncomplete = () => resolve(records);
+        transaction.onerror = () => reject(transaction.error);
+    });
+    
+    const schemaRecord = (await readRecords([DATA_SCHEMA_KEY]))[DATA_SCHEMA_KEY];
+    const schema = schemaRecord ? schemaRecord.data : { version: 1, applied: [] };
+    const latestVersion = getLatestDataSchemaVersion();
+    
+    if (schema.version > latestVersion) {
+        console.warn(`💾 IndexedDB: Data schema ${schema.version} was written by a newer version of I2E (this page knows ${latestVersion}); no migrations run`);
+        return schema.version;
+    }
+    
+    const steps = dataMigrations.filter(step => step.version > schema.version);
+    if (steps.length === 0) return schema.version;
+    
+    try {
+        const keys = [...new Set(steps.flatMap(step => step.keys))];
+        const records = await readRecords(keys);
+        const values = {};
+        keys.forEach(key => { values[key] = records[key] ? records[key].data : undefined; });
+        
+        const applied = [...(schema.applied || [])];
+        steps.forEach(step => {
+            const stepValues = {};
+            step.keys.forEach(key => { stepValues[key] = values[key]; });
+            Object.assign(values, step.migrate(stepValues));
+            applied.push({ version: step.version, description: step.description, date: new Date().toISOString() });
+            console.log(`💾 IndexedDB: Data migration ${step.version} - ${step.description}`);
+        });
+        
+        const newSchema = { version: latestVersion, applied: applied };
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction(['costData'], 'readwrite');
+            const store = transaction.objectStore('costData');
+            const timestamp = new Date().toISOString();
+            keys.filter(key => values[key] !== undefined).forEach(key => {
+                store.put({ id: key, data: values[key], timestamp: timestamp, size: JSON.stringify(values[key]).length });
+            });
+            store.put({ id: DATA_SCHEMA_KEY, data: newSchema, timestamp: timestamp, size: JSON.stringify(newSchema).length });
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+        
+        console.log(`✅ IndexedDB: Data upgraded from schema ${schema.version} to ${latestVersion}`);
+        return latestVersion;
+        
+    } catch (error) {
+        console.error(`❌ IndexedDB: Data migration from schema ${schema.version} failed, stored data left unchanged:`, error);
+        return schema.version;
+    }
+}
+
+// ===== INDEXEDDB STORAGE =====
+
 /**
  * Save large data to IndexedDB
  * @param {string} key - Storage key
@@ -1116,8 +1385,10 @@ if (typeof module !== 'undefined' && module.exports) {
         // Data processing
         standardizeWBS,
         formatCurrency,
+        formatVatBreakdown,
         generateUniqueId,
         makeCSSClass,
+        escapeHtml,
         
         // Storage
         saveToLocalStorage,
@@ -1128,6 +1399,11 @@ if (typeof module !== 'undefined' && module.exports) {
         formatDate,
         parseInvoiceMonth,
         getCurrentTimestamp,
+        createServicePeriodRange,
+        createMonthPeriodRange,
+        getServicePeriodMonths,
+        formatServicePeriodRange,
+        mergeServicePeriodRanges,
         
         // Logging
         logInfo,
@@ -1155,6 +1431,9 @@ if (typeof module !== 'undefined' && module.exports) {
         initializeIndexedDB,
         saveToIndexedDB,
         loadFromIndexedDB,        removeFromIndexedDB,
+        registerDataMigration,
+        getLatestDataSchemaVersion,
+        runDataMigrations,
         clearIndexedDBByPrefix,
         loadCostDataFromStorage,
         clearAllI2EData,
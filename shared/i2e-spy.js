@@ -4,6 +4,7 @@
  * 
  * @version 1.0
  * @author I2E Development Team
+ * @requires user-profiles.js for the user identity and role checks
  */
 
 // ===== SPY MODAL CONFIGURATION =====
@@ -614,53 +615,29 @@ async function updateInvoiceDate(invoiceNumber, newDate) {
             return;
         }
         
-        // Get pending invoices
-        const pendingInvoices = await getPendingInvoices();
-        const invoiceIndex = pendingInvoices.findIndex(inv => inv.invoiceNumber === invoiceNumber);
+        if (!requireUserPermission('edit')) return;
         
-        if (invoiceIndex === -1) {
-            console.error(`🕵️ Invoice ${invoiceNumber} not found in pending invoices`);
+        // Date changes are recorded in the audit log with their reason
+        const reason = prompt(`Change the date of invoice ${invoiceNumber} to ${newDate}?\n\nReason:`);
+        if (reason === null) {
+            await showSpyTab('pending');
             return;
         }
         
-        // Update the date in the full invoice data
-        const invoice = pendingInvoices[invoiceIndex];
-        if (invoice.fullInvoiceData && invoice.fullInvoiceData[0]) {
-            invoice.fullInvoiceData[0].dateOfInvoice = newDate;
-            
-            // Also update month of invoice based on new date
-            const dateParts = newDate.split('.');
-            if (dateParts.length >= 3) {
-                const monthNum = parseInt(dateParts[1]);
-                const year = dateParts[2];
-                const monthNames = ['', 'January', 'February', 'March', 'April', 'May', 'June', 
-                                  'July', 'August', 'September', 'October', 'November', 'December'];
-                const monthName = monthNames[monthNum] || 'Unknown';
-                invoice.fullInvoiceData[0].monthOfInvoice = `${monthName} ${year}`;
-                
-                console.log(`🕵️ Updated month of invoice to: ${monthName} ${year}`);
-            }
-            
-            // Update the cache
-            if (typeof saveToLocalStorage === 'function') {
-                saveToLocalStorage('i2e_pending_invoices', pendingInvoices);
-            } else {
-                // Fallback: direct localStorage update
-                localStorage.setItem('i2e_pending_invoices', JSON.stringify(pendingInvoices));
-            }
-            
-            console.log(`✅ Invoice ${invoiceNumber} date updated successfully`);
-            
-            // Refresh the spy modal display
-            await showSpyTab('pending');
-            
-            // If we're in the validator, refresh the pending invoices table too
-            if (typeof displayPendingInvoices === 'function' && typeof getPendingInvoices === 'function') {
-                displayPendingInvoices(await getPendingInvoices());
-            }
-            
-        } else {
-            console.error(`🕵️ Invoice ${invoiceNumber} has no fullInvoiceData to update`);
+        const userId = getCurrentUserId();
+        if (!await updatePendingInvoiceDate(invoiceNumber, newDate, userId, reason)) {
+            console.error(`🕵️ Invoice ${invoiceNumber} could not be updated`);
+            return;
+        }
+        
+        console.log(`✅ Invoice ${invoiceNumber} date updated successfully`);
+        
+        // Refresh the spy modal display
+        await showSpyTab('pending');
+        
+        // If we're in the validator, refresh the pending invoices table too
+        if (typeof displayPendingInvoices === 'function' && typeof getPendingInvoices === 'function') {
+            displayPendingInvoices(await getPendingInvoices());
         }
         
     } catch (error) {
@@ -931,11 +908,11 @@ async function exportSpyData() {
         console.log(`✅ Cache data exported to Excel successfully from ${appName}!`);
         logInfo(`🕵️ Cache data exported to Excel from ${appName}`);
         
-        // Offer to clear cache if storage is >80% full
+        // Offer to clear cache if storage is >80% full (to users who may clear it)
         const stats = await getCacheStats();
         const percentUsed = parseFloat(stats.limits?.percentUsed || 0);
         
-        if (percentUsed > 80) {
+        if (percentUsed > 80 && hasUserPermission('clearCache')) {
             if (confirm(`📊 Excel export successful!\n\nStorage usage: ${percentUsed}% (${stats.sizes.totalMB} MB)\n\nWould you like to clear the cache to free up space?\n\n⚠️ This will delete all cached invoice data.`)) {
                 try {
                     if (await clearCache()) {
@@ -1125,6 +1102,8 @@ async function saveWorkbook(workbook, filename) {
  * Clear all cache with confirmation
  */
 async function clearCacheWithConfirm() {
+    if (!requireUserPermission('clearCache')) return;
+    
     if (confirm('🚨 Are you sure you want to clear ALL cache data?\n\nThis will delete all pending, approved, and rejected invoices.\n\nThis action cannot be undone!')) {
         try {
             if (await clearCache()) {
@@ -1156,6 +1135,8 @@ async function clearCacheWithConfirm() {
  * Clear Excel cache with confirmation
  */
 async function clearExcelCacheWithConfirm() {
+    if (!requireUserPermission('clearCache')) return;
+    
     if (confirm('📊 Are you sure you want to clear Excel file cache?\n\nThis will delete all uploaded cost data files (PPM, EXT SAP, I2E data).\n\nThis action cannot be undone!')) {
         try {
             // Clear the Excel/cost data cache from localStorage (legacy)
@@ -0,0 +1,273 @@
+/**
+ * I2E Invoice Locale
+ * Number and date format detection and locale-aware parsing of invoice amounts and dates
+ *
+ * @version 1.0
+ * @author I2E Development Team
+ */
+
+// ===== LOCALE CONFIGURATION =====
+
+// Decimal and grouping separators per number format
+const NUMBER_FORMATS = {
+    de: { decimal: ',', group: ['.'], example: '1.234,56' },
+    en: { decimal: '.', group: [','], example: '1,234.56' },
+    ch: { decimal: '.', group: ['\'', '’', ','], example: '1\'234.56' }
+};
+
+// Order of day, month and year in numeric dates
+const DATE_FORMATS = {
+    DMY: { example: 'DD.MM.YYYY' },
+    MDY: { example: 'MM/DD/YYYY' },
+    YMD: { example: 'YYYY-MM-DD' }
+};
+
+// Locales selectable per supplier template or per invoice
+const INVOICE_LOCALES = {
+    'de-DE': { numberFormat: 'de', dateFormat: 'DMY', label: 'German (1.234,56 · DD.MM.YYYY)' },
+    'en-US': { numberFormat: 'en', dateFormat: 'MDY', label: 'US (1,234.56 · MM/DD/YYYY)' },
+    'en-GB': { numberFormat: 'en', dateFormat: 'DMY', label: 'UK (1,234.56 · DD/MM/YYYY)' },
+    'de-CH': { numberFormat: 'ch', dateFormat: 'DMY', label: 'Swiss (1\'234.56 · DD.MM.YYYY)' }
+};
+
+// Format assumed when neither configuration nor the document decides (historic behaviour)
+const DEFAULT_NUMBER_FORMAT = 'de';
+const DEFAULT_DATE_FORMAT = 'DMY';
+
+// ===== FORMAT DETECTION =====
+
+/**
+ * Detect the number format from all amounts in a document.
+ * Only unambiguous amounts count as evidence: "1.234,56", "12,50" (German), "1,234.56",
+ * "12.50" (English) and "1'234.56" (Swiss). Values like "1.234" decide nothing.
+ * @param {string} text - Full document text
+ * @returns {Object} { format: 'de'|'en'|'ch'|null, votes, mixed }
+ */
+function detectNumberFormat(text) {
+    const count = regex => (text.match(regex) || []).length;
+    const votes = {
+        de: count(/(?<![\d.,'])\d{1,3}(?:\.\d{3})+,\d{1,2}(?![\d.,])/g) + count(/(?<![\d.,'])\d+,\d{2}(?![\d.,])/g),
+        en: count(/(?<![\d.,'])\d{1,3}(?:,\d{3})+\.\d{1,2}(?![\d.,])/g) + count(/(?<![\d.,'])\d+\.\d{2}(?![\d.,])/g),
+        ch: count(/(?<![\d.,'’])\d{1,3}(?:['’]\d{3})+(?:\.\d{1,2})?(?![\d.,])/g)
+    };
+
+    let format = null;
+    if (votes.ch > 0 && votes.ch >= votes.de) {
+        format = 'ch';
+    } else if (votes.de > votes.en) {
+        format = 'de';
+    } else if (votes.en > votes.de) {
+        format = 'en';
+    }
+
+    return {
+        format: format,
+        votes: votes,
+        mixed: votes.de > 0 && votes.en > 0
+    };
+}
+
+/**
+ * Detect the date format from all numeric dates in a document.
+ * A day above 12 decides between DMY and MDY; dotted dates count as DMY.
+ * @param {string} text - Full document text
+ * @returns {Object} { format: 'DMY'|'MDY'|'YMD'|null, votes }
+ */
+function detectDateFormat(text) {
+    const votes = { DMY: 0, MDY: 0, YMD: 0 };
+    const datePattern = /(?<![\d.\/-])(\d{1,4})([./-])(\d{1,2})\2(\d{2,4})(?![\d.\/-])/g;
+
+    for (const match of text.matchAll(datePattern)) {
+        const first = parseInt(match[1], 10);
+        const second = parseInt(match[3], 10);
+
+        if (match[1].length === 4) {
+            votes.YMD++;
+        } else if (first > 12 && second <= 12) {
+            votes.DMY++;
+        } else if (second > 12 && first <= 12) {
+            votes.MDY++;
+        } else if (match[2] === '.') {
+            votes.DMY++;
+        }
+    }
+
+    const ranked = Object.entries(votes).filter(([, count]) => count > 0).sort((a, b) => b[1] - a[1]);
+    return {
+        format: ranked.length > 0 && (ranked.length === 1 || ranked[0][1] > ranked[1][1]) ? ranked[0][0] : null,
+        votes: votes
+    };
+}
+
+/**
+ * Decide the number and date format for an invoice.
+ * Order: explicit locale (invoice or supplier) > detection from the document > default.
+ * @param {string|Object|null} configuredLocale - INVOICE_LOCALES key or { numberFormat, dateFormat }
+ * @param {string} text - Full document text
+ * @param {string} configuredBy - Who configured the locale ('invoice' or 'supplier')
+ * @returns {Object} { numberFormat, dateFormat, numberSource, dateSource, mixedNumbers }
+ */
+function resolveInvoiceLocale(configuredLocale, text, configuredBy = 'invoice') {
+    const configured = typeof configuredLocale === 'string' ? INVOICE_LOCALES[configuredLocale] : configuredLocale;
+    const numberDetection = detectNumberFormat(text || '');
+    const dateDetection = detectDateFormat(text || '');
+
+    const numberFormat = (configured && NUMBER_FORMATS[configured.numberFormat]) ? configured.numberFormat : numberDetection.format;
+    const dateFormat = (configured && DATE_FORMATS[configured.dateFormat]) ? configured.dateFormat : dateDetection.format;
+
+    return {
+        numberFormat: numberFormat,
+        dateFormat: dateFormat,
+        numberSource: configured && configured.numberFormat ? configuredBy : (numberFormat ? 'detected' : 'default'),
+        dateSource: configured && configured.dateFormat ? configuredBy : (dateFormat ? 'detected' : 'default'),
+        mixedNumbers: !(configured && configured.numberFormat) && numberDetection.mixed
+    };
+}
+
+// ===== PARSING =====
+
+/**
+ * Parse an amount string in the given number format
+ * @param {string} amountStr - Amount, e.g. "1.234,56", "1,234.56-", "1'234.56"
+ * @param {string|null} numberFormat - 'de', 'en', 'ch' or null to guess from the last separator
+ * @returns {Object} { value, ambiguous } - ambiguous when the value had to be guessed
+ */
+function parseLocaleAmount(amountStr, numberFormat = null) {
+    if (amountStr === null || amountStr === undefined || amountStr === '') {
+        return { value: null, ambiguous: false };
+    }
+
+    const text = String(amountStr).trim();
+    const isNegative = text.endsWith('-') || text.startsWith('-') || /^\(.*\)$/.test(text);
+    let cleanAmount = text.replace(/^[-(]|[-)]$/g, '').replace(/\s/g, '');
+
+    const format = NUMBER_FORMATS[numberFormat];
+    if (format) {
+        // An amount that does not fit the format ("1234.56" on a German invoice) is read as configured but flagged
+        const fitsFormat = amountFitsFormat(cleanAmount, format);
+        format.group.forEach(separator => {
+            cleanAmount = cleanAmount.split(separator).join('');
+        });
+        if (format.decimal === ',') {
+            cleanAmount = cleanAmount.replace(',', '.');
+        }
+
+        const amount = parseFloat(cleanAmount);
+        return { value: isNegative ? -amount : amount, ambiguous: !fitsFormat };
+    }
+
+    // Unknown format: the last separator is taken as decimal separator. "1.234" or "1,234"
+    // (one separator followed by exactly three digits) could be a thousand or a decimal.
+    const ambiguous = /^\d{1,3}[.,]\d{3}$/.test(cleanAmount);
+    if (cleanAmount.includes(',') && cleanAmount.lastIndexOf(',') > cleanAmount.lastIndexOf('.')) {
+        cleanAmount = cleanAmount.replace(/\./g, '').replace(',', '.');
+    } else {
+        cleanAmount = cleanAmount.replace(/,/g, '');
+    }
+
+    const amount = parseFloat(cleanAmount);
+    return { value: isNegative ? -amount : amount, ambiguous: ambiguous };
+}
+
+/**
+ * Check whether an unsigned amount is written in the given number format
+ * @param {string} amount - Amount without sign, e.g. "1.234,56"
+ * @param {Object} format - Entry of NUMBER_FORMATS
+ * @returns {boolean} True if separators are where the format puts them
+ */
+function amountFitsFormat(amount, format) {
+    const escape = character => character.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const group = `[${format.group.map(escape).join('')}]`;
+    const decimal = `(?:${escape(format.decimal)}\\d+)?`;
+    return new RegExp(`^(?:\\d{1,3}(?:${group}\\d{3})+|\\d+)${decimal}$`).test(amount);
+}
+
+/**
+ * Rewrite apostrophe digit grouping as comma grouping ("1'234.50" -> "1,234.50") so the
+ * amount patterns, which only know '.' and ',', match Swiss invoices
+ * @param {string} text - Document or page text
+ * @returns {string} Text with comma grouping
+ */
+function normalizeApostropheGrouping(text) {
+    return text.replace(/(\d)['’](?=\d{3}(?!\d))/g, '$1,');
+}
+
+/**
+ * Normalize a numeric date to the I2E format DD.MM.YYYY
+ * @param {string} dateStr - Date, e.g. "03/15/2025", "15.03.2025", "2025-03-15"
+ * @param {string|null} dateFormat - 'DMY', 'MDY', 'YMD' or null to assume DMY
+ * @returns {Object} { value, ambiguous } - ambiguous when day and month could be swapped
+ */
+function normalizeLocaleDate(dateStr, dateFormat = null) {
+    if (!dateStr) return { value: null, ambiguous: false };
+
+    const match = String(dateStr).trim().match(/^(\d{1,4})[./-](\d{1,2})[./-](\d{2,4})$/);
+    if (!match) return { value: dateStr, ambiguous: false };
+
+    const [first, second, third] = [match[1], match[2], match[3]];
+    const format = first.length === 4 ? 'YMD' : (dateFormat || DEFAULT_DATE_FORMAT);
+
+    let day, month, year;
+    if (format === 'YMD') {
+        [year, month, day] = [first, second, third];
+    } else if (format === 'MDY') {
+        [month, day, year] = [first, second, third];
+    } else {
+        [day, month, year] = [first, second, third];
+    }
+
+    if (year.length === 2) year = `20${year}`;
+
+    // Without a known format, "03/04/2025" could be either order; dotted dates are always DMY
+    const ambiguous = !dateFormat && format !== 'YMD' && !String(dateStr).includes('.') &&
+        parseInt(first, 10) <= 12 && parseInt(second, 10) <= 12 && first !== second;
+
+    return {
+        value: `${day.padStart(2, '0')}.${month.padStart(2, '0')}.${year}`,
+        ambiguous: ambiguous
+    };
+}
+
+/**
+ * Describe a number/date format pair for display
+ * @param {string|null} numberFormat - Number format key
+ * @param {string|null} dateFormat - Date format key
+ * @returns {string} e.g. "1,234.56 · MM/DD/YYYY"
+ */
+function describeInvoiceLocale(numberFormat, dateFormat) {
+    const number = NUMBER_FORMATS[numberFormat || DEFAULT_NUMBER_FORMAT].example;
+    const date = DATE_FORMATS[dateFormat || DEFAULT_DATE_FORMAT].example;
+    return `${number} · ${date}`;
+}
+
+// ===== EXPORT FOR MODULE USAGE =====
+
+// If using as a module, export functions
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        NUMBER_FORMATS,
+        DATE_FORMATS,
+        INVOICE_LOCALES,
+        detectNumberFormat,
+        detectDateFormat,
+        resolveInvoiceLocale,
+        parseLocaleAmount,
+        normalizeLocaleDate,
+        normalizeApostropheGrouping,
+        describeInvoiceLocale
+    };
+}
+
+// Global availability for browser usage
+if (typeof window !== 'undefined') {
+    window.INVOICE_LOCALES = INVOICE_LOCALES;
+    window.detectNumberFormat = detectNumberFormat;
+    window.detectDateFormat = detectDateFormat;
+    window.resolveInvoiceLocale = resolveInvoiceLocale;
+    window.parseLocaleAmount = parseLocaleAmount;
+    window.normalizeLocaleDate = normalizeLocaleDate;
+    window.normalizeApostropheGrouping = normalizeApostropheGrouping;
+    window.describeInvoiceLocale = describeInvoiceLocale;
+
+    console.log('I2E Invoice Locale loaded successfully');
+}
@@ -0,0 +1,128 @@
+/**
+ * I2E Invoice OCR
+ * Text recognition for scanned PDF pages with a locally bundled Tesseract WASM build
+ *
+ * @version 1.0
+ * @author I2E Development Team
+ * @requires pdf.js (page rendering), Tesseract.js 5 in assets/ocr/ (installed by cli/fetch-ocr-engine.js, loaded on first use)
+ */
+
+// ===== OCR CONFIGURATION =====
+
+// Bundled engine, relative to the page (index.html and I2E_Invoice_Processor.html live next to assets/).
+// Nothing is fetched from a CDN: scanned invoices never leave the browser.
+const OCR_ENGINE_DIR = 'assets/ocr/';
+const OCR_ENGINE_FILES = {
+    script: 'tesseract.min.js',
+    worker: 'worker.min.js',
+    core: 'core/',
+    languages: 'lang/'
+};
+
+// Tesseract language models (lang/<code>.traineddata.gz); invoices are German or English
+const OCR_LANGUAGES = 'deu+eng';
+
+// Render scale for recognition: pdf.js renders at 72 dpi per 1.0, Tesseract works best around 300 dpi
+const OCR_RENDER_SCALE = 4;
+
+let ocrEnginePromise = null;
+
+// ===== ENGINE =====
+
+/**
+ * Check whether OCR can run here. It needs a page to render on (document and canvas);
+ * extraction workers and the command line cannot run it.
+ * @returns {boolean} True if scanned pages can be recognized
+ */
+function canRunOcr() {
+    return typeof document !== 'undefined' && typeof pdfjsLib !== 'undefined';
+}
+
+/**
+ * Load the bundled Tesseract.js script once
+ * @returns {Promise<Object>} The Tesseract global
+ */
+function loadOcrEngine() {
+    if (typeof Tesseract !== 'undefined') return Promise.resolve(Tesseract);
+
+    if (!ocrEnginePromise) {
+        ocrEnginePromise = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = OCR_ENGINE_DIR + OCR_ENGINE_FILES.script;
+            script.onload = () => typeof Tesseract !== 'undefined'
+                ? resolve(Tesseract)
+                : reject(new Error(`${script.src} did not define Tesseract`));
+            script.onerror = () => reject(new Error(`OCR engine not found at ${OCR_ENGINE_DIR} (run node cli/fetch-ocr-engine.js)`));
+            document.head.appendChild(script);
+        }).catch(error => {
+            // Allow another attempt, e.g. after the engine files were added
+            ocrEnginePromise = null;
+            throw error;
+        });
+    }
+    return ocrEnginePromise;
+}
+
+/**
+ * Start an OCR session for one document. The Tesseract worker is reused for all scanned pages
+ * of the document and must be released with close().
+ * @returns {Promise<Object>} { recognizePage(page): Promise<{ text, confidence }>, close(): Promise }
+ */
+async function createOcrSession() {
+    const engine = await loadOcrEngine();
+    const engineUrl = path => new URL(OCR_ENGINE_DIR + path, document.baseURI).href;
+
+    const worker = await engine.createWorker(OCR_LANGUAGES, 1, {
+        workerPath: engineUrl(OCR_ENGINE_FILES.worker),
+        corePath: engineUrl(OCR_ENGINE_FILES.core),
+        langPath: engineUrl(OCR_ENGINE_FILES.languages),
+        workerBlobURL: false
+    });
+
+    return {
+        /**
+         * Render a page and recognize its text
+         * @param {Object} page - PDF.js page
+         * @returns {Promise<Object>} { text, confidence } - text one line per row, confidence 0..1
+         */
+        async recognizePage(page) {
+            const viewport = page.getViewport({ scale: OCR_RENDER_SCALE });
+            const canvas = document.createElement('canvas');
+            canvas.width = viewport.width;
+            canvas.height = viewport.height;
+            await page.render({ canvasContext: canvas.getContext('2d'), viewport: viewport }).promise;
+
+            const { data } = await worker.recognize(canvas);
+            const lines = (data.lines || []).map(line => line.text.replace(/\s+/g, ' ').trim());
+            return {
+                text: (lines.length > 0 ? lines : data.text.split('\n')).filter(line => line.length > 0).join('\n'),
+                confidence: Math.round(data.confidence) / 100
+            };
+        },
+
+        close() {
+            return worker.terminate();
+        }
+    };
+}
+
+// ===== EXPORT FOR MODULE USAGE =====
+
+// If using as a module, export functions
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        canRunOcr,
+        loadOcrEngine,
+        createOcrSession,
+        OCR_ENGINE_DIR,
+        OCR_LANGUAGES
+    };
+}
+
+// Global availability for browser usage
+if (typeof window !== 'undefined') {
+    window.canRunOcr = canRunOcr;
+    window.createOcrSession = createOcrSession;
+
+    console.log('I2E Invoice OCR loaded successfully');
+}
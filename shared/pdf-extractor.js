@@ -6,53 +6,210 @@
  * @author I2E Development Team
  * @requires PDF.js library
  * @requires i2e-common.js for utilities
+ * @requires invoice-locale.js for number and date formats
+ * @requires cost-type-rules.js for cost type classification
+ * @requires supplier-templates.js for supplier-specific templates (optional)
+ * @requires supplier-registry.js for supplier resolution (optional)
+ * @requires invoice-ocr.js for scanned pages (optional)
+ * @requires duplicate-detector.js for file content hashes (optional)
+ * @requires xml-invoice-parser.js for embedded Factur-X / ZUGFeRD XML and UBL / XRechnung uploads (optional)
  */
 
+// ===== EXTRACTION CONFIDENCE =====
+
+/**
+ * Confidence scores (0..1) per extraction strategy. Every extracted value carries a
+ * provenance record { confidence, source, page, line } in item.provenance[field].
+ */
+const EXTRACTION_CONFIDENCE = {
+    MANUAL: 1.0,       // Entered or corrected by a reviewer
+    TEMPLATE: 0.95,    // Supplier template rule
+    LAYOUT: 0.9,       // Column-aware table reconstruction
+    STRUCTURED: 0.85,  // Strategy 1 (VAT-anchored regex)
+    FLEXIBLE: 0.65,    // Strategy 2 (token-based parsing)
+    OCR: 0.55,         // Upper bound for values read from OCR text (recognition errors are likely)
+    SIMPLE: 0.4,       // Strategy 3 (simple pattern)
+    GUESSED: 0.2       // Default or derived value, nothing was read from the document
+};
+
+// Values below this confidence are highlighted for review
+const LOW_CONFIDENCE_THRESHOLD = 0.6;
+
+const LINE_ITEM_FIELDS = [
+    'position', 'material', 'positionDescription', 'positionQuantity',
+    'unit', 'vat', 'unitPrice', 'positionTotal'
+];
+
+/**
+ * Create a provenance record for an extracted value
+ * @param {number} confidence - Confidence score (0..1)
+ * @param {string} source - Strategy or pattern that produced the value
+ * @param {number|null} page - Page number (1-based)
+ * @param {number|null} line - Line number within the page (1-based)
+ * @returns {Object} Provenance record
+ */
+function createProvenance(confidence, source, page = null, line = null) {
+    return { confidence, source, page, line };
+}
+
+/**
+ * Create provenance records for all fields of a line item
+ * @param {number} confidence - Confidence of the strategy
+ * @param {string} source - Strategy name
+ * @param {number} page - Page number (1-based)
+ * @param {number|null} line - Line number within the page (1-based)
+ * @param {Object} overrides - Per-field confidence overrides, e.g. { unitPrice: EXTRACTION_CONFIDENCE.GUESSED }
+ * @returns {Object} Provenance keyed by field name
+ */
+function buildItemProvenance(confidence, source, page, line, overrides = {}) {
+    const provenance = {};
+    LINE_ITEM_FIELDS.forEach(field => {
+        const fieldConfidence = overrides[field] ?? confidence;
+        const fieldSource = fieldConfidence === EXTRACTION_CONFIDENCE.GUESSED ? `${source} (default value)` : source;
+        provenance[field] = createProvenance(fieldConfidence, fieldSource, page, line);
+    });
+    return provenance;
+}
+
+/**
+ * Map a line number of the full document text to page and line
+ * @param {number|null} documentLine - Line number in the full text (1-based)
+ * @param {Array<string>} pageTexts - Text of each page
+ * @returns {Object} { page, line } (nulls when unknown)
+ */
+function locateDocumentLine(documentLine, pageTexts) {
+    if (!documentLine) return { page: null, line: null };
+    
+    let remaining = documentLine;
+    for (let i = 0; i < pageTexts.length; i++) {
+        const pageLineCount = pageTexts[i].split('\n').length;
+        if (remaining <= pageLineCount) {
+            return { page: i + 1, line: remaining };
+        }
+        remaining -= pageLineCount;
+    }
+    
+    return { page: null, line: null };
+}
+
+/**
+ * Line number (1-based) of a character offset in a text
+ * @param {string} text - Text
+ * @param {number} index - Character offset
+ * @returns {number} Line number
+ */
+function lineNumberAt(text, index) {
+    return text.slice(0, index).split('\n').length;
+}
+
+/**
+ * Check whether a provenance record is below the review threshold
+ * @param {Object} provenance - Provenance record
+ * @returns {boolean} True if the value should be reviewed
+ */
+function isLowConfidence(provenance) {
+    return !!provenance && typeof provenance.confidence === 'number' && provenance.confidence < LOW_CONFIDENCE_THRESHOLD;
+}
+
 // ===== MAIN PDF PROCESSING FUNCTIONS =====
 
+/**
+ * Check whether a file is an XML e-invoice (UBL / XRechnung / CII) rather than a PDF
+ * @param {File} file - Uploaded file
+ * @returns {boolean} True for .xml files
+ */
+function isXmlInvoiceFile(file) {
+    return /\.xml$/i.test(file.name) || file.type === 'application/xml' || file.type === 'text/xml';
+}
+
+/**
+ * Extract data from an uploaded invoice file, PDF or XML e-invoice
+ * @param {File} file - PDF or XML file to process
+ * @param {Object} options - Extraction options, e.g. { locale: 'en-US' } (see extractInvoiceData)
+ * @returns {Promise<Array>} Array of extracted invoice data
+ */
+async function extractDataFromInvoiceFile(file, options = {}) {
+    if (!isXmlInvoiceFile(file)) {
+        return extractDataFromPDF(file, options);
+    }
+
+    if (typeof parseInvoiceXml !== 'function') {
+        throw new Error('XML invoices require xml-invoice-parser.js');
+    }
+
+    try {
+        const xmlText = await file.text();
+        return setContentHash(parseInvoiceXml(xmlText, file.name), await hashFileContent(xmlText));
+    } catch (error) {
+        console.error('Error processing XML invoice:', error);
+        throw new Error(`Failed to process XML invoice: ${error.message}`);
+    }
+}
+
 /**
  * Extract data from PDF file
  * @param {File} file - PDF file to process
+ * @param {Object} options - Extraction options, e.g. { locale: 'en-US' } (see extractInvoiceData);
+ *                           onPageProgress(page, pageCount) is called after each page's text was read,
+ *                           onPageWithoutText(page) for each scanned page (read with OCR when available)
  * @returns {Promise<Array>} Array of extracted invoice data
  */
-async function extractDataFromPDF(file) {
+async function extractDataFromPDF(file, options = {}) {
     try {
-        // Load PDF
+        // Load PDF; the content is hashed first because pdf.js may take over the buffer
         const arrayBuffer = await file.arrayBuffer();
+        const contentHash = await hashFileContent(arrayBuffer);
         const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
         
+        // Hybrid e-invoices (Factur-X / ZUGFeRD) carry exact data as an XML attachment
+        if (typeof extractEmbeddedInvoiceXml === 'function') {
+            const embeddedXml = await extractEmbeddedInvoiceXml(pdf);
+            if (embeddedXml) {
+                try {
+                    const xmlInvoiceData = parseInvoiceXml(embeddedXml.xmlText, file.name);
+                    if (xmlInvoiceData.some(item => item.positionDescription)) {
+                        console.log(`✅ Using embedded ${embeddedXml.fileName} instead of text extraction`);
+                        return setContentHash(xmlInvoiceData, contentHash);
+                    }
+                    console.log('⚠️ Embedded XML has no line items, falling back to text extraction');
+                } catch (error) {
+                    console.warn(`⚠️ Could not parse embedded ${embeddedXml.fileName}, falling back to text extraction:`, error.message);
+                }
+            }
+        }
+        
         // Extract text from all pages
-        let fullText = '';
         const pageTexts = [];
+        const pageLayouts = [];
+        const scannedPages = [];
         
         for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
             const page = await pdf.getPage(pageNum);
             const textContent = await page.getTextContent();
+            const pageText = buildPageText(textContent.items);
             
-            // Group text items by approximate Y position to preserve lines
-            const lines = {};
-            textContent.items.forEach(item => {
-                const y = Math.round(item.transform[5] / 5) * 5; // Group by 5-pixel chunks
-                if (!lines[y]) lines[y] = [];
-                lines[y].push(item);
-            });
+            pageTexts.push(pageText);
+            pageLayouts.push(buildPageLayout(textContent.items));
             
-            // Sort lines by Y position (top to bottom) and concatenate within lines
-            const sortedY = Object.keys(lines).sort((a, b) => b - a); // Descending Y
-            const pageText = sortedY.map(y => {
-                // Sort items within line by X position (left to right)
-                const lineItems = lines[y].sort((a, b) => a.transform[4] - b.transform[4]);
-                return lineItems.map(item => item.str).join(' ').trim();
-            }).filter(line => line.length > 0).join('\n');
+            if (!pageHasTextLayer(textContent.items)) {
+                scannedPages.push(pageNum);
+                if (typeof options.onPageWithoutText === 'function') {
+                    options.onPageWithoutText(pageNum);
+                }
+            }
             
-            pageTexts.push(pageText);
-            fullText += pageText + '\n';
+            if (typeof options.onPageProgress === 'function') {
+                options.onPageProgress(pageNum, pdf.numPages);
+            }
         }
         
-        // Extract invoice data
-        const invoiceData = extractInvoiceData(fullText, pageTexts, file.name);
+        // Scanned pages: recognized text replaces the (empty) text layer
+        const ocrResults = scannedPages.length > 0 ? await recognizeScannedPages(pdf, scannedPages, pageTexts) : null;
+        
+        // Extract invoice data, one invoice per document bundled into the PDF
+        const invoiceData = extractInvoicesFromPages(pageTexts, file.name, pageLayouts, options);
         
-        return invoiceData;
+        return setContentHash(ocrResults ? flagOcrDerivedItems(invoiceData, ocrResults) : invoiceData, contentHash);
         
     } catch (error) {
         console.error('Error processing PDF:', error);
@@ -60,19 +217,284 @@ async function extractDataFromPDF(file) {
     }
 }
 
-function extractInvoiceData(fullText, pageTexts, fileName) {
+/**
+ * Hash the content of an invoice file (duplicate-detector.js), so the same file is recognized under another name
+ * @param {ArrayBuffer|string} content - PDF bytes or XML text
+ * @returns {Promise<string|null>} Content hash, null without the duplicate detector
+ */
+async function hashFileContent(content) {
+    return typeof computeContentHash === 'function' ? computeContentHash(content) : null;
+}
+
+/**
+ * Record the content hash of the source file on its line items. Invoices bundled into one file get
+ * the hash with their document number ("<hash>:2"), so they do not look like copies of each other.
+ * @param {Array} items - Extracted line items
+ * @param {string|null} contentHash - Content hash of the file
+ * @returns {Array} The same items
+ */
+function setContentHash(items, contentHash) {
+    const invoiceNumbers = [...new Set(items.map(item => item.invoiceNumber))];
+    items.forEach(item => {
+        item.contentHash = contentHash && invoiceNumbers.length > 1
+            ? `${contentHash}:${invoiceNumbers.indexOf(item.invoiceNumber) + 1}`
+            : contentHash;
+    });
+    return items;
+}
+
+// ===== SCANNED PAGES =====
+
+// Pages with fewer visible characters than this have no usable text layer
+const MIN_TEXT_LAYER_CHARACTERS = 20;
+
+/**
+ * Check whether a PDF page has a text layer worth extracting
+ * @param {Array} textItems - PDF.js text content items of the page
+ * @returns {boolean} True if the page carries text, false for scanned (image-only) pages
+ */
+function pageHasTextLayer(textItems) {
+    const characterCount = textItems.reduce((count, item) => count + (item.str || '').replace(/\s/g, '').length, 0);
+    return characterCount >= MIN_TEXT_LAYER_CHARACTERS;
+}
+
+/**
+ * Read scanned pages with OCR (invoice-ocr.js) and put the recognized text into pageTexts
+ * @param {Object} pdf - PDF.js document
+ * @param {Array<number>} pageNumbers - Pages without text layer (1-based)
+ * @param {Array<string>} pageTexts - Text of each page, updated in place
+ * @returns {Promise<Object>} Per page number: { confidence } when recognized, { error } otherwise
+ */
+async function recognizeScannedPages(pdf, pageNumbers, pageTexts) {
+    const results = {};
+    const failAll = message => {
+        pageNumbers.forEach(pageNumber => { results[pageNumber] = { error: message }; });
+        console.warn(`⚠️ ${pageNumbers.length} page(s) without text layer not read: ${message}`);
+        return results;
+    };
+    
+    if (typeof createOcrSession !== 'function') return failAll('no OCR engine loaded (invoice-ocr.js)');
+    if (!canRunOcr()) return failAll('OCR only runs in the browser');
+    
+    let session;
+    try {
+        session = await createOcrSession();
+    } catch (error) {
+        return failAll(error.message);
+    }
+    
+    try {
+        for (const pageNumber of pageNumbers) {
+            try {
+                const recognized = await session.recognizePage(await pdf.getPage(pageNumber));
+                pageTexts[pageNumber - 1] = recognized.text;
+                results[pageNumber] = { confidence: recognized.confidence };
+                console.log(`🔡 Page ${pageNumber}: OCR read ${recognized.text.split('\n').length} lines (${Math.round(recognized.confidence * 100)}% confidence)`);
+            } catch (error) {
+                results[pageNumber] = { error: error.message };
+                console.warn(`⚠️ Page ${pageNumber}: OCR failed:`, error.message);
+            }
+        }
+    } finally {
+        await session.close();
+    }
+    
+    return results;
+}
+
+/**
+ * Flag line items that rest on scanned pages: values read from OCR text get a capped confidence
+ * (so they are highlighted for review), and every invoice explains what happened to its scanned
+ * pages in its parse warnings and diagnostics
+ * @param {Array} items - Extracted line items
+ * @param {Object} ocrResults - Result of recognizeScannedPages
+ * @returns {Array} Line items with ocrPages (recognized page numbers)
+ */
+function flagOcrDerivedItems(items, ocrResults) {
+    const describePage = (pageNumber, result) => result.error
+        ? `Page ${pageNumber} has no text layer and could not be read by OCR: ${result.error}`
+        : `Page ${pageNumber} has no text layer, text read by OCR (${Math.round(result.confidence * 100)}% recognition confidence)`;
+    const annotatedDiagnostics = new Map();
+    
+    return items.map(item => {
+        // Pages of the item's invoice: every page leaves an entry in the invoice's diagnostics
+        const invoicePages = new Set(item.diagnostics ? item.diagnostics.entries.map(entry => entry.page) : [item.pageNumber]);
+        const scannedPages = Object.keys(ocrResults).map(Number).filter(pageNumber => invoicePages.has(pageNumber));
+        if (scannedPages.length === 0) return item;
+        
+        const ocrPages = scannedPages.filter(pageNumber => !ocrResults[pageNumber].error);
+        const provenance = {};
+        Object.entries(item.provenance || {}).forEach(([field, record]) => {
+            provenance[field] = record && ocrPages.includes(record.page)
+                ? { ...record, confidence: Math.min(record.confidence, EXTRACTION_CONFIDENCE.OCR), source: `${record.source} (OCR)` }
+                : record;
+        });
+        
+        // Invoices share one diagnostics object between their line items
+        let diagnostics = item.diagnostics;
+        if (diagnostics) {
+            if (!annotatedDiagnostics.has(diagnostics)) {
+                annotatedDiagnostics.set(diagnostics, {
+                    ...diagnostics,
+                    entries: [
+                        ...scannedPages.map(pageNumber => ({ step: 'text', page: pageNumber, message: describePage(pageNumber, ocrResults[pageNumber]) })),
+                        ...diagnostics.entries
+                    ]
+                });
+            }
+            diagnostics = annotatedDiagnostics.get(diagnostics);
+        }
+        
+        return {
+            ...item,
+            ocrPages: ocrPages,
+            parseWarnings: [...(item.parseWarnings || []), ...scannedPages.map(pageNumber => describePage(pageNumber, ocrResults[pageNumber]))],
+            provenance: provenance,
+            diagnostics: diagnostics
+        };
+    });
+}
+
+/**
+ * Build the text of a page from PDF.js text items, one line per visual row
+ * @param {Array} textItems - PDF.js text content items
+ * @returns {string} Page text
+ */
+function buildPageText(textItems) {
+    // Group text items by approximate Y position to preserve lines
+    const lines = {};
+    textItems.forEach(item => {
+        const y = Math.round(item.transform[5] / 5) * 5; // Group by 5-pixel chunks
+        if (!lines[y]) lines[y] = [];
+        lines[y].push(item);
+    });
+    
+    // Sort lines by Y position (top to bottom) and concatenate within lines
+    const sortedY = Object.keys(lines).sort((a, b) => b - a); // Descending Y
+    return sortedY.map(y => {
+        // Sort items within line by X position (left to right)
+        const lineItems = lines[y].sort((a, b) => a.transform[4] - b.transform[4]);
+        return lineItems.map(item => item.str).join(' ').trim();
+    }).filter(line => line.length > 0).join('\n');
+}
+
+/**
+ * Extract invoice data from the text of a document
+ * @param {string} fullText - Full document text
+ * @param {Array<string>} pageTexts - Text of each page
+ * @param {string} fileName - Source file name
+ * @param {Array<Object>} pageLayouts - Optional column layouts per page (see buildPageLayout)
+ * @param {Object} options - Optional { locale, documentText }: locale (INVOICE_LOCALES key) overrides
+ *   the supplier template's locale; documentText is the whole file when fullText is one of several invoices
+ * @returns {Array} Extracted line items with invoice-level data
+ */
+function extractInvoiceData(fullText, pageTexts, fileName, pageLayouts = [], options = {}) {
+    // Use a supplier-specific template when one matches, otherwise the default strategies
+    const template = typeof findSupplierTemplate === 'function' ? findSupplierTemplate(fullText) : null;
+    
+    // Number and date format: invoice setting > supplier template > detected from the document's amounts
+    const locale = resolveInvoiceLocale(
+        options.locale || (template && template.locale) || null,
+        options.documentText || fullText,
+        options.locale ? 'invoice' : 'supplier'
+    );
+    const parseWarnings = [];
+    if (locale.mixedNumbers) {
+        parseWarnings.push(`Document mixes number formats, amounts read as ${describeInvoiceLocale(locale.numberFormat, locale.dateFormat)}`);
+    }
+    
+    // Swiss grouping apostrophes ("1'234.50") become commas so the amount patterns can match
+    const localText = text => locale.numberFormat === 'ch' ? normalizeApostropheGrouping(text) : text;
+    
+    const previousLocale = activeParseLocale;
+    const previousDiagnostics = activeDiagnostics;
+    activeParseLocale = { numberFormat: locale.numberFormat, dateFormat: locale.dateFormat, warnings: parseWarnings };
+    activeDiagnostics = createExtractionDiagnostics(template);
+    try {
+        const lineItems = extractInvoiceDataWithTemplate(localText(fullText), pageTexts.map(localText), fileName, pageLayouts, template);
+        const diagnostics = activeDiagnostics;
+        const invoiceLocale = {
+            numberFormat: locale.numberFormat || null,
+            dateFormat: locale.dateFormat || null,
+            numberSource: locale.numberSource,
+            dateSource: locale.dateSource
+        };
+        
+        lineItems.forEach(item => {
+            item.invoiceLocale = invoiceLocale;
+            item.parseWarnings = [...new Set(parseWarnings)];
+            item.diagnostics = diagnostics;
+        });
+        
+        // Classify again now that material, supplier and project are known
+        applyCostTypeRules(lineItems);
+        if (parseWarnings.length > 0) {
+            console.log(`⚠️ ${fileName}: ambiguous values`, parseWarnings);
+        }
+        return lineItems;
+    } finally {
+        activeParseLocale = previousLocale;
+        activeDiagnostics = previousDiagnostics;
+    }
+}
+
+/**
+ * Extract invoice data once the number and date format are set (see extractInvoiceData)
+ * @param {string} fullText - Full document text
+ * @param {Array<string>} pageTexts - Text of each page
+ * @param {string} fileName - Source file name
+ * @param {Array<Object>} pageLayouts - Column layouts per page
+ * @param {Object|null} template - Matching supplier template
+ * @returns {Array} Extracted line items with invoice-level data
+ */
+function extractInvoiceDataWithTemplate(fullText, pageTexts, fileName, pageLayouts, template) {
+    const dateFormat = activeParseLocale ? activeParseLocale.dateFormat : null;
+    const headerProvenance = {};
+    const vatSummary = extractVatBreakdown(pageTexts);
+    const documentPeriodRange = extractServicePeriodRangeWithProvenance(fullText, dateFormat);
+    const readField = fieldType => {
+        const result = extractTemplateField(template, fullText, fieldType) || extractFieldWithProvenance(fullText, fieldType);
+        if (!result) return null;
+        
+        const { page, line } = locateDocumentLine(result.line, pageTexts);
+        headerProvenance[fieldType] = createProvenance(result.confidence, result.source, page, line);
+        return result.value;
+    };
+    const dateOfInvoice = readInvoiceDate(readField('dateOfInvoice'), dateFormat, headerProvenance);
+    const invoiceNumber = readField('invoiceNumber');
+    
+    // Credit notes carry the number of the invoice they correct
+    const creditNoteResult = detectCreditNoteWithProvenance(fullText, invoiceNumber, template);
+    const creditNoteLocation = locateDocumentLine(creditNoteResult.line, pageTexts);
+    headerProvenance.creditNote = createProvenance(creditNoteResult.confidence, creditNoteResult.source, creditNoteLocation.page, creditNoteLocation.line);
+    const referencedInvoice = creditNoteResult.value ? readField('originalInvoiceNumber') : null;
+    const originalInvoiceNumber = referencedInvoice !== invoiceNumber ? referencedInvoice : null;
+    
+    // Registered supplier: a VAT ID or name of the supplier registry printed on the invoice
+    const supplier = resolveSupplierWithProvenance(fullText, pageTexts, template, headerProvenance);
+    
     // Extract invoice-level data
     const baseInvoiceInfo = {
         fileName: fileName,
-        projectId: extractField(fullText, 'projectId'),
-        invoiceNumber: extractField(fullText, 'invoiceNumber'),
-        customerId: extractField(fullText, 'customerId'),
-        dateOfInvoice: extractField(fullText, 'dateOfInvoice'),
-        monthOfInvoice: extractMonthFromDate(extractField(fullText, 'dateOfInvoice')),
-        currency: extractField(fullText, 'currency'),
-        vat: extractField(fullText, 'vat'),
-        creditNote: detectCreditNote(fullText)
+        projectId: readField('projectId'),
+        invoiceNumber: invoiceNumber,
+        customerId: readField('customerId'),
+        dateOfInvoice: dateOfInvoice,
+        monthOfInvoice: extractMonthFromDate(dateOfInvoice),
+        currency: readField('currency') || readSupplierCurrency(supplier, headerProvenance),
+        vat: readField('vat'),
+        creditNote: creditNoteResult.value,
+        originalInvoiceNumber: originalInvoiceNumber,
+        supplierTemplateId: template ? template.id : null,
+        supplierId: supplier ? supplier.id : null,
+        supplierName: supplier ? supplier.name : (template ? (template.supplierName || null) : null),
+        documentFormat: 'pdf',
+        ...vatSummary.values
     };
+    if (headerProvenance.dateOfInvoice) {
+        headerProvenance.monthOfInvoice = { ...headerProvenance.dateOfInvoice };
+    }
+    Object.assign(headerProvenance, vatSummary.provenance);
     
     // Extract line items from each page with page-specific service periods
     const lineItems = [];
@@ -81,34 +503,63 @@ function extractInvoiceData(fullText, pageTexts, fileName) {
     
     pageTexts.forEach((pageText, pageIndex) => {
         // Extract service provision period for this specific page
-        const pageServicePeriod = extractServicePeriodFromPage(pageText);
+        const servicePeriodResult = extractServicePeriodWithProvenance(pageText);
+        const pageRangeResult = extractServicePeriodRangeWithProvenance(pageText, dateFormat);
+        const rangeResult = pageRangeResult
+            ? { ...pageRangeResult, page: pageIndex + 1 }
+            : documentPeriodRange && { ...documentPeriodRange, ...locateDocumentLine(documentPeriodRange.line, pageTexts) };
+        const pagePeriod = resolveServicePeriod(servicePeriodResult, rangeResult, pageIndex + 1);
         
         // Extract potential totals from ALL pages, not just the first
-        const pageTotal = extractInvoiceTotal(pageText);
-        if (pageTotal !== null) {
+        const pageTotalResult = extractInvoiceTotalWithProvenance(pageText, pageIndex + 1);
+        if (pageTotalResult) {
             allPageTotals.push({
-                amount: pageTotal,
+                amount: pageTotalResult.amount,
                 pageNumber: pageIndex + 1,
-                pageText: pageText
+                pageText: pageText,
+                provenance: createProvenance(pageTotalResult.confidence, pageTotalResult.source, pageIndex + 1, pageTotalResult.line)
             });
-            console.log(`💰 Found potential total on page ${pageIndex + 1}: ${pageTotal}`);
         }
         
-        const pageLineItems = extractLineItems(pageText, pageIndex + 1);
+        let pageLineItems = [];
+        if (template && template.lineItems) {
+            pageLineItems = extractLineItemsWithTemplate(pageText, pageIndex + 1, template.lineItems);
+            if (pageLineItems.length === 0) {
+                recordDiagnostic('lineItems', pageIndex + 1, `Template "${template.id}" line grammar matched no rows, using the default strategies`);
+            }
+        }
+        if (pageLineItems.length === 0) {
+            pageLineItems = extractLineItems(pageText, pageIndex + 1, pageLayouts[pageIndex]);
+        }
         pageLineItems.forEach(item => {
             lineItems.push({
                 ...baseInvoiceInfo,
-                serviceProvisionPeriod: pageServicePeriod,
+                serviceProvisionPeriod: pagePeriod.label,
+                servicePeriodRange: pagePeriod.range,
                 ...item,
                 pageNumber: pageIndex + 1,
-                extractedInvoiceTotal: null // Will be set after choosing best total
+                extractedInvoiceTotal: null, // Will be set after choosing best total
+                provenance: {
+                    ...headerProvenance,
+                    serviceProvisionPeriod: pagePeriod.labelProvenance,
+                    servicePeriodRange: pagePeriod.rangeProvenance,
+                    ...item.provenance
+                }
             });
         });
     });
     
+    // Template total rules take precedence over the generic total detection
+    const templateTotal = template && template.total ? extractTemplateTotal(template.total, fullText) : null;
+    let totalProvenance = null;
+    
     // Choose the best total from all pages
-    if (allPageTotals.length > 0) {
-        console.log(`🔍 Analyzing ${allPageTotals.length} potential totals from all pages:`, allPageTotals);
+    if (templateTotal) {
+        extractedInvoiceTotal = templateTotal.amount;
+        const { page, line } = locateDocumentLine(templateTotal.line, pageTexts);
+        totalProvenance = createProvenance(templateTotal.confidence, templateTotal.source, page, line);
+        recordSelectedTotal(extractedInvoiceTotal, page, `template "${template.id}" total rule (${templateTotal.source})`);
+    } else if (allPageTotals.length > 0) {
         
         // Check each total to see if it comes from a "Total" line vs "Subtotal" line
         const totalCandidates = allPageTotals.map(candidate => {
@@ -130,18 +581,705 @@ function extractInvoiceData(fullText, pageTexts, fileName) {
         });
         
         extractedInvoiceTotal = totalCandidates[0].amount;
-        console.log(`✅ Selected best total: ${extractedInvoiceTotal} from page ${totalCandidates[0].pageNumber} (priority: ${totalCandidates[0].priority}, isMainTotal: ${totalCandidates[0].isMainTotal})`);
+        totalProvenance = totalCandidates[0].provenance;
+        
+        const priorityLabels = { 1: 'Total line on the page', 2: 'no clear Total line on the page', 3: 'only Subtotal lines on the page' };
+        if (activeDiagnostics) {
+            activeDiagnostics.totalCandidates = totalCandidates.map((candidate, index) => ({
+                amount: candidate.amount,
+                page: candidate.pageNumber,
+                line: candidate.provenance.line,
+                source: candidate.provenance.source,
+                reason: priorityLabels[candidate.priority],
+                selected: index === 0
+            }));
+        }
+        recordSelectedTotal(extractedInvoiceTotal, totalCandidates[0].pageNumber,
+            totalCandidates.length > 1
+                ? `best of ${totalCandidates.length} page totals (${priorityLabels[totalCandidates[0].priority]}; later pages win ties)`
+                : `only page total (${totalCandidates[0].provenance.source})`);
+    } else {
+        recordDiagnostic('total', null, 'No invoice total found on any page');
     }
     
     // Update all line items with the final selected total
     lineItems.forEach(item => {
         item.extractedInvoiceTotal = extractedInvoiceTotal;
+        if (totalProvenance) item.provenance.extractedInvoiceTotal = totalProvenance;
+    });
+    
+    if (lineItems.length > 0) return lineItems;
+    
+    const provenance = { ...headerProvenance };
+    if (totalProvenance) provenance.extractedInvoiceTotal = totalProvenance;
+    return [{...baseInvoiceInfo, extractedInvoiceTotal, provenance}];
+}
+
+// ===== SUPPLIER RESOLUTION =====
+
+/**
+ * Resolve the invoice to a registered supplier (supplier-registry.js) and record where it was found
+ * @param {string} fullText - Full document text
+ * @param {Array<string>} pageTexts - Text of each page
+ * @param {Object|null} template - Matching supplier template
+ * @param {Object} headerProvenance - Header provenance, receives supplierId
+ * @returns {Object|null} Registered supplier
+ */
+function resolveSupplierWithProvenance(fullText, pageTexts, template, headerProvenance) {
+    if (typeof resolveInvoiceSupplier !== 'function' || getSupplierRegistry().length === 0) return null;
+
+    const match = resolveInvoiceSupplier(fullText, { supplierName: template ? template.supplierName : null });
+    if (!match) {
+        recordDiagnostic('supplier', null, 'No registered supplier matches the VAT IDs or names on the invoice');
+        return null;
+    }
+
+    const evidence = match.evidence === 'vatId' ? 'VAT ID' : 'name';
+    const { page, line } = locateDocumentLine(match.line, pageTexts);
+    headerProvenance.supplierId = createProvenance(match.confidence, `supplier registry ${evidence} "${match.value}"`, page, line);
+    recordDiagnostic('supplier', page, `${match.supplier.name} by ${evidence} "${match.value}"`);
+    return match.supplier;
+}
+
+/**
+ * Use the registered supplier's default currency when the invoice does not state one
+ * @param {Object|null} supplier - Registered supplier
+ * @param {Object} headerProvenance - Header provenance, receives currency
+ * @returns {string|null} Default currency
+ */
+function readSupplierCurrency(supplier, headerProvenance) {
+    if (!supplier || !supplier.defaultCurrency) return null;
+
+    headerProvenance.currency = createProvenance(EXTRACTION_CONFIDENCE.GUESSED, `default currency of supplier ${supplier.name}`);
+    return supplier.defaultCurrency;
+}
+
+// ===== VAT BREAKDOWN AND RECONCILIATION =====
+
+// "VAT 19%(A1) 1.900,00", "MwSt. 19 % auf 10.000,00 1.900,00" - rate, optional code, optional base, tax
+const VAT_LINE_PATTERN = /^[ \t]*(?:VAT|MwSt|USt|TVA|BTW)\b\.?[ \t]*:?[ \t]*(\d{1,2}(?:[.,]\d{1,2})?)[ \t]*%[ \t]*(?:\(([A-Z0-9]{1,3})\))?(?:[ \t]*(?:of|on|auf|von|sur)[ \t]+([\d.,]+-?))?[ \t]+([\d.,]+-?)[ \t]*$/gim;
+
+// Net amount lines; anchored at line start so per-period lines like "OCT 2024 Subtotal (Net)" are ignored
+const NET_AMOUNT_PATTERN = /^[ \t]*(?:Subtotal(?:[ \t]*\(Net\))?|Net[ \t]+(?:Amount|Total)|Total[ \t]+(?:Net|excl\.?[ \t]*VAT)|Nettobetrag|Summe[ \t]+netto)[ \t]*:?[ \t]*(?:[A-Z]{3}[ \t]+)?([\d.,]+-?)[ \t]*$/gim;
+
+// Gross amount lines
+const GROSS_AMOUNT_PATTERN = /^[ \t]*(?:Total|Grand[ \t]+Total|Invoice[ \t]+Total|Total[ \t]+Amount|Gross[ \t]+(?:Amount|Total)|Total[ \t]+incl\.?[ \t]*VAT|Rechnungsbetrag|Gesamtbetrag|Bruttobetrag)[ \t]*:?[ \t]*(?:[A-Z]{3}[ \t]+)?([\d.,]+-?)[ \t]*$/gim;
+
+/**
+ * Extract net amount, VAT lines per rate and gross amount of an invoice. When a value
+ * appears on several pages, the last page wins (totals are printed at the end).
+ * @param {Array<string>} pageTexts - Text of each page of the invoice
+ * @returns {Object} { values: { vatBreakdown, netAmount, vatAmount, grossAmount }, provenance }
+ */
+function extractVatBreakdown(pageTexts) {
+    let net = null;
+    let gross = null;
+    let vatLines = [];
+    
+    pageTexts.forEach((pageText, pageIndex) => {
+        const pageNet = lastAmountMatch(pageText, NET_AMOUNT_PATTERN);
+        const pageGross = lastAmountMatch(pageText, GROSS_AMOUNT_PATTERN);
+        const pageVatLines = Array.from(pageText.matchAll(VAT_LINE_PATTERN), match => ({
+            rate: parseFloat(match[1].replace(',', '.')),
+            category: match[2] || null,
+            basisAmount: match[3] ? parseAmount(match[3]) : null,
+            taxAmount: parseAmount(match[4]),
+            line: lineNumberAt(pageText, match.index)
+        }));
+        
+        if (pageNet) net = { ...pageNet, page: pageIndex + 1 };
+        if (pageGross) gross = { ...pageGross, page: pageIndex + 1 };
+        if (pageVatLines.length > 0) vatLines = pageVatLines.map(vatLine => ({ ...vatLine, page: pageIndex + 1 }));
     });
     
-    return lineItems.length > 0 ? lineItems : [{...baseInvoiceInfo, extractedInvoiceTotal}];
+    // A single rate without a printed base covers whatever the other rates leave of the net amount
+    const missingBasis = vatLines.filter(vatLine => vatLine.basisAmount === null);
+    const basisDerived = missingBasis.length === 1 && net !== null;
+    if (basisDerived) {
+        const otherBases = vatLines.reduce((sum, vatLine) => sum + (vatLine.basisAmount || 0), 0);
+        missingBasis[0].basisAmount = Math.round((net.amount - otherBases) * 100) / 100;
+    }
+    
+    const values = {
+        vatBreakdown: vatLines.map(({ rate, category, basisAmount, taxAmount }) => ({ rate, category, basisAmount, taxAmount })),
+        netAmount: net ? net.amount : null,
+        vatAmount: vatLines.length > 0 ? Math.round(vatLines.reduce((sum, vatLine) => sum + vatLine.taxAmount, 0) * 100) / 100 : null,
+        grossAmount: gross ? gross.amount : null
+    };
+    
+    const provenance = {};
+    if (net) provenance.netAmount = createProvenance(EXTRACTION_CONFIDENCE.STRUCTURED, 'VAT summary: net amount line', net.page, net.line);
+    if (gross) provenance.grossAmount = createProvenance(EXTRACTION_CONFIDENCE.STRUCTURED, 'VAT summary: gross amount line', gross.page, gross.line);
+    if (vatLines.length > 0) {
+        const vatProvenance = createProvenance(
+            basisDerived ? EXTRACTION_CONFIDENCE.FLEXIBLE : EXTRACTION_CONFIDENCE.STRUCTURED,
+            basisDerived ? 'VAT summary: VAT line (base taken from net amount)' : 'VAT summary: VAT lines',
+            vatLines[0].page, vatLines[0].line
+        );
+        provenance.vatBreakdown = vatProvenance;
+        provenance.vatAmount = { ...vatProvenance };
+    }
+    
+    return { values, provenance };
 }
 
+/**
+ * Last amount matched by a line pattern on a page
+ * @param {string} pageText - Page text
+ * @param {RegExp} pattern - Global, multiline pattern with the amount in group 1
+ * @returns {Object|null} { amount, line } or null
+ */
+function lastAmountMatch(pageText, pattern) {
+    const matches = Array.from(pageText.matchAll(pattern));
+    if (matches.length === 0) return null;
+    
+    const match = matches[matches.length - 1];
+    return { amount: parseAmount(match[1]), line: lineNumberAt(pageText, match.index) };
+}
+
+/**
+ * Reconcile the VAT figures of an invoice: net + VAT = gross, base x rate = tax per rate
+ * and the sum of the bases equals the net amount
+ * @param {Object} invoice - Invoice or line item with netAmount, vatAmount, grossAmount, vatBreakdown
+ * @param {number} tolerance - Allowed rounding difference
+ * @returns {Array<string>} Reconciliation issues (empty when consistent or not enough data)
+ */
+function reconcileVatAmounts(invoice, tolerance = 0.01) {
+    const issues = [];
+    const isNumber = value => typeof value === 'number' && !isNaN(value);
+    const exceeds = (a, b) => Math.abs(a - b) > tolerance + 1e-9;
+    const { netAmount, vatAmount, grossAmount } = invoice;
+    const vatBreakdown = invoice.vatBreakdown || [];
+    
+    if (isNumber(netAmount) && isNumber(vatAmount) && isNumber(grossAmount) && exceeds(netAmount + vatAmount, grossAmount)) {
+        issues.push(`Net ${netAmount.toFixed(2)} + VAT ${vatAmount.toFixed(2)} ≠ gross ${grossAmount.toFixed(2)}`);
+    }
+    
+    vatBreakdown.forEach(entry => {
+        if (!isNumber(entry.rate) || !isNumber(entry.basisAmount) || !isNumber(entry.taxAmount)) return;
+        
+        const expectedTax = Math.round(entry.basisAmount * entry.rate) / 100;
+        if (exceeds(expectedTax, entry.taxAmount)) {
+            issues.push(`VAT ${entry.rate}%${entry.category ? ` (${entry.category})` : ''}: ${entry.basisAmount.toFixed(2)} × ${entry.rate}% = ${expectedTax.toFixed(2)}, invoice states ${entry.taxAmount.toFixed(2)}`);
+        }
+    });
+    
+    if (isNumber(netAmount) && vatBreakdown.length > 1 && vatBreakdown.every(entry => isNumber(entry.basisAmount))) {
+        const basisTotal = vatBreakdown.reduce((sum, entry) => sum + entry.basisAmount, 0);
+        if (exceeds(basisTotal, netAmount)) {
+            issues.push(`Sum of VAT bases ${basisTotal.toFixed(2)} ≠ net ${netAmount.toFixed(2)}`);
+        }
+    }
+    
+    return issues;
+}
+
+// ===== MULTI-INVOICE DOCUMENT SPLITTING =====
+
+/**
+ * Extract all invoices from a PDF that may bundle several invoices or credit notes back to back
+ * @param {Array<string>} pageTexts - Text of each page
+ * @param {string} fileName - Source file name
+ * @param {Array} pageLayouts - Layout rows per page (from buildPageLayout)
+ * @param {Object} options - Extraction options, e.g. { locale: 'en-US' } (see extractInvoiceData)
+ * @returns {Array} Line items of all invoices in the document
+ */
+function extractInvoicesFromPages(pageTexts, fileName, pageLayouts = [], options = {}) {
+    // Number formats are detected from the amounts of the whole file, not of one bundled invoice
+    const documentText = pageTexts.join('\n');
+    const segments = splitDocumentIntoInvoices(pageTexts);
+    
+    if (segments.length > 1) {
+        console.log(`📑 ${fileName} contains ${segments.length} documents:`, segments.map(s => `pages ${s.startPage + 1}-${s.endPage + 1} (${s.reason})`));
+    }
+    
+    return segments.flatMap(segment => {
+        const segmentTexts = pageTexts.slice(segment.startPage, segment.endPage + 1);
+        const segmentLayouts = pageLayouts.slice(segment.startPage, segment.endPage + 1);
+        const segmentText = segmentTexts.map(pageText => pageText + '\n').join('');
+        
+        const items = extractInvoiceData(segmentText, segmentTexts, fileName, segmentLayouts, { ...options, documentText });
+        return segment.startPage > 0 ? offsetItemPages(items, segment.startPage) : items;
+    });
+}
+
+/**
+ * Detect document boundaries page by page. A page starts a new invoice when it carries a
+ * different invoice / credit note number, or - without a number - when it has its own
+ * header (date or customer ID) and the position numbering starts over.
+ * @param {Array<string>} pageTexts - Text of each page
+ * @returns {Array<Object>} Segments { startPage, endPage, invoiceNumber, reason } with 0-based page indices
+ */
+function splitDocumentIntoInvoices(pageTexts) {
+    const segments = [];
+    let current = null;
+    
+    pageTexts.forEach((pageText, pageIndex) => {
+        const numberResult = extractFieldWithProvenance(pageText, 'invoiceNumber');
+        const invoiceNumber = numberResult ? numberResult.value : null;
+        const positions = extractPagePositionNumbers(pageText);
+        
+        let reason = null;
+        if (!current) {
+            reason = 'first page';
+        } else if (invoiceNumber && current.invoiceNumber && invoiceNumber !== current.invoiceNumber) {
+            reason = `new document number ${invoiceNumber}`;
+        } else if (!invoiceNumber && positions.length > 0 && current.positions.length > 0 &&
+                   positions[0] <= Math.min(...current.positions) && hasDocumentHeader(pageText)) {
+            reason = `position numbering reset to ${String(positions[0]).padStart(4, '0')}`;
+        }
+        
+        if (reason) {
+            current = { startPage: pageIndex, endPage: pageIndex, invoiceNumber: invoiceNumber, reason: reason, positions: [] };
+            segments.push(current);
+        } else {
+            current.endPage = pageIndex;
+            current.invoiceNumber = current.invoiceNumber || invoiceNumber;
+        }
+        current.positions.push(...positions);
+    });
+    
+    return segments.map(({ positions, ...segment }) => segment);
+}
+
+/**
+ * Position numbers (4-digit line prefixes) on a page, in reading order
+ * @param {string} pageText - Page text
+ * @returns {Array<number>} Position numbers
+ */
+function extractPagePositionNumbers(pageText) {
+    return Array.from(pageText.matchAll(/^\s*(\d{4})\s+\S/gm), match => parseInt(match[1], 10));
+}
+
+/**
+ * Check whether a page carries an invoice header block of its own
+ * @param {string} pageText - Page text
+ * @returns {boolean} True if the page has an invoice date or customer ID
+ */
+function hasDocumentHeader(pageText) {
+    return Boolean(extractFieldWithProvenance(pageText, 'dateOfInvoice') || extractFieldWithProvenance(pageText, 'customerId'));
+}
+
+/**
+ * Shift page numbers of line items extracted from a later segment of the document
+ * @param {Array} items - Line items (page numbers relative to the segment)
+ * @param {number} pageOffset - Index of the segment's first page in the document
+ * @returns {Array} Line items with document page numbers
+ */
+function offsetItemPages(items, pageOffset) {
+    const diagnostics = items.length > 0 ? offsetDiagnosticPages(items[0].diagnostics, pageOffset) : null;
+    
+    return items.map(item => {
+        const provenance = {};
+        Object.entries(item.provenance || {}).forEach(([field, record]) => {
+            provenance[field] = record && record.page ? { ...record, page: record.page + pageOffset } : record;
+        });
+        
+        return {
+            ...item,
+            pageNumber: item.pageNumber ? item.pageNumber + pageOffset : item.pageNumber,
+            provenance: provenance,
+            diagnostics: diagnostics
+        };
+    });
+}
+
+// ===== SUPPLIER TEMPLATE EXTRACTION =====
+
+/**
+ * Extract an invoice-level field using the patterns of a supplier template
+ * @param {Object|null} template - Matching supplier template
+ * @param {string} text - Full document text
+ * @param {string} fieldType - Field name (invoiceNumber, dateOfInvoice, ...)
+ * @returns {Object|null} { value, confidence, source, line } or null when the template has no match
+ */
+function extractTemplateField(template, text, fieldType) {
+    if (!template || !template.fields || !template.fields[fieldType]) return null;
+    
+    const patterns = [].concat(template.fields[fieldType]);
+    for (const pattern of patterns) {
+        const regex = toTemplateRegExp(pattern);
+        const match = text.match(regex);
+        if (match && match[1]) {
+            return {
+                value: match[1].trim(),
+                confidence: EXTRACTION_CONFIDENCE.TEMPLATE,
+                source: `template ${template.id}: ${regex}`,
+                line: lineNumberAt(text, match.index)
+            };
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Extract line items from a page using a template's line-item grammar
+ * @param {string} pageText - Page text
+ * @param {number} pageNumber - Page number (1-based)
+ * @param {Object} grammar - Template lineItems definition (pattern, startAfter, stopAt)
+ * @returns {Array} Extracted line items
+ */
+function extractLineItemsWithTemplate(pageText, pageNumber, grammar) {
+    const lineItems = [];
+    const rowPattern = toTemplateRegExp(grammar.pattern);
+    const startPattern = grammar.startAfter ? toTemplateRegExp(grammar.startAfter) : null;
+    const stopPattern = grammar.stopAt ? toTemplateRegExp(grammar.stopAt) : null;
+    
+    let inTable = !startPattern;
+    const lines = pageText.split('\n');
+    
+    for (let lineIndex = 0; lineIndex < lines.length; lineIndex++) {
+        const trimmed = lines[lineIndex].trim();
+        
+        if (!inTable) {
+            inTable = startPattern.test(trimmed);
+            continue;
+        }
+        if (stopPattern && stopPattern.test(trimmed)) {
+            recordDiagnostic('lineItems', pageNumber, `Template line grammar stopped at "${trimmed}"`, { line: lineIndex + 1 });
+            break;
+        }
+        
+        const match = trimmed.match(rowPattern);
+        if (!match || !match.groups) continue;
+        
+        const groups = match.groups;
+        const description = (groups.positionDescription || '').trim();
+        const positionTotal = parseAmount(groups.positionTotal);
+        
+        if (positionTotal === null || isNaN(positionTotal)) continue;
+        
+        const quantity = groups.positionQuantity ? parseFloat(groups.positionQuantity.replace(',', '.')) : 1;
+        
+        lineItems.push({
+            position: groups.position || String((lineItems.length + 1) * 10).padStart(4, '0'),
+            material: groups.material || '',
+            positionDescription: description || 'Service Item',
+            positionQuantity: isNaN(quantity) ? 1 : quantity,
+            unit: groups.unit || 'PU',
+            vat: groups.vat || '',
+            unitPrice: groups.unitPrice ? parseAmount(groups.unitPrice) : positionTotal,
+            positionTotal: positionTotal,
+            typeCost: classifyCostType(description),
+            provenance: buildItemProvenance(EXTRACTION_CONFIDENCE.TEMPLATE, 'supplier template line grammar', pageNumber, lineIndex + 1,
+                missingFieldOverrides(groups, ['position', 'material', 'positionDescription', 'positionQuantity', 'unit', 'vat', 'unitPrice']))
+        });
+    }
+    
+    if (startPattern && !inTable) {
+        recordDiagnostic('lineItems', pageNumber, `Template line grammar start "${grammar.startAfter}" not found`);
+    }
+    recordDiagnostic('lineItems', pageNumber, `Template line grammar extracted ${lineItems.length} line item(s)`, { strategy: 'template', itemCount: lineItems.length });
+    return lineItems;
+}
+
+/**
+ * Extract the invoice total using a template's total rules
+ * @param {Object} totalRules - Template total definition (patterns, pick)
+ * @param {string} text - Full document text
+ * @returns {Object|null} { amount, confidence, source, line } or null when no rule matched
+ */
+function extractTemplateTotal(totalRules, text) {
+    const candidates = [];
+    
+    for (const pattern of [].concat(totalRules.patterns || [])) {
+        const regex = toTemplateRegExp(pattern, 'im');
+        const globalRegex = new RegExp(regex.source, regex.flags.includes('g') ? regex.flags : regex.flags + 'g');
+        
+        for (const match of text.matchAll(globalRegex)) {
+            const amount = parseAmount(match[1]);
+            if (amount !== null && !isNaN(amount)) {
+                candidates.push({
+                    amount,
+                    confidence: EXTRACTION_CONFIDENCE.TEMPLATE,
+                    source: `template total (${totalRules.pick || 'last'}): ${regex}`,
+                    line: lineNumberAt(text, match.index)
+                });
+            }
+        }
+        
+        if (candidates.length > 0) break; // Earlier patterns win
+    }
+    
+    if (candidates.length === 0) return null;
+    
+    switch (totalRules.pick) {
+        case 'first':
+            return candidates[0];
+        case 'largest':
+            return candidates.reduce((best, candidate) => Math.abs(candidate.amount) > Math.abs(best.amount) ? candidate : best);
+        case 'last':
+        default:
+            return candidates[candidates.length - 1];
+    }
+}
+
+/**
+ * Mark line item fields that were not read from the document as guessed
+ * @param {Object} values - Values read from the document, keyed by field
+ * @param {Array<string>} fields - Fields to check
+ * @returns {Object} Confidence overrides for buildItemProvenance
+ */
+function missingFieldOverrides(values, fields) {
+    const overrides = {};
+    fields.forEach(field => {
+        if (!values[field]) overrides[field] = EXTRACTION_CONFIDENCE.GUESSED;
+    });
+    return overrides;
+}
+
+// ===== TABLE LAYOUT RECONSTRUCTION =====
+
+const LAYOUT_ROW_TOLERANCE = 3;      // Max Y distance (pt) for items on the same row
+const LAYOUT_COLUMN_GAP = 2;         // Min X gap (pt) between two separate columns
+const VAT_CELL_PATTERN = /\d+[.,]?\d*%\([A-Z0-9]+\)/;
+const AMOUNT_CELL_PATTERN = /^[\d.,]+-?$/;
+
+/**
+ * Reconstruct the line item table of a page from PDF.js text positions.
+ * Items are clustered into rows by Y and into columns by X, and wrapped
+ * description lines are merged into the row they belong to.
+ * @param {Array} textItems - PDF.js text content items of one page
+ * @returns {Object} Page layout with columns and structured table rows
+ */
+function buildPageLayout(textItems) {
+    const rows = groupItemsIntoRows(textItems);
+    const layout = { columns: [], tableRows: [] };
+    
+    // Table body ends at the first Subtotal/Total line (same boundary as the text strategies)
+    const boundaryIndex = rows.findIndex(row => /\b(Subtotal|Total)\b/i.test(row.text) && !/Position.*Total/i.test(row.text));
+    const bodyRows = boundaryIndex >= 0 ? rows.slice(0, boundaryIndex) : rows;
+    
+    // Anchor rows carry a VAT code followed by at least one amount
+    const isAnchorRow = row => {
+        const vatIndex = row.items.findIndex(item => VAT_CELL_PATTERN.test(item.str));
+        return vatIndex >= 0 && row.items.slice(vatIndex + 1).some(item => AMOUNT_CELL_PATTERN.test(item.str.trim()));
+    };
+    const anchorRows = bodyRows.filter(isAnchorRow);
+    if (anchorRows.length === 0) return layout;
+    
+    const columns = detectTableColumns(anchorRows);
+    if (!columns) return layout;
+    layout.columns = columns;
+    
+    const descriptionColumn = columns.find(column => column.role === 'positionDescription');
+    const nextColumn = descriptionColumn ? columns[columns.indexOf(descriptionColumn) + 1] : null;
+    let currentRow = null;
+    
+    for (const row of bodyRows) {
+        if (isAnchorRow(row)) {
+            currentRow = { cells: assignCellsToColumns(row.items, columns), y: row.y, text: row.text, wrappedLines: 0 };
+            layout.tableRows.push(currentRow);
+            continue;
+        }
+        
+        // Continuation line: text only inside the description column below a table row
+        const isWrappedDescription = currentRow && descriptionColumn && row.items.every(item =>
+            item.x >= descriptionColumn.x0 - LAYOUT_COLUMN_GAP &&
+            (!nextColumn || item.x + item.width <= nextColumn.x0)
+        );
+        
+        if (isWrappedDescription) {
+            currentRow.cells.positionDescription = `${currentRow.cells.positionDescription || ''} ${row.text}`.trim();
+            currentRow.wrappedLines++;
+        } else if (currentRow) {
+            currentRow = null; // Unrelated text ends the current row
+        }
+    }
+    
+    return layout;
+}
+
+/**
+ * Group text items into visual rows (top to bottom, items left to right)
+ * @param {Array} textItems - PDF.js text content items
+ * @returns {Array} Rows with y, items and joined text
+ */
+function groupItemsIntoRows(textItems) {
+    const items = textItems
+        .filter(item => item.str && item.str.trim().length > 0)
+        .map(item => ({ str: item.str.trim(), x: item.transform[4], y: item.transform[5], width: item.width || 0 }))
+        .sort((a, b) => b.y - a.y);
+    
+    const rows = [];
+    for (const item of items) {
+        const row = rows.length > 0 ? rows[rows.length - 1] : null;
+        if (row && Math.abs(row.y - item.y) <= LAYOUT_ROW_TOLERANCE) {
+            row.items.push(item);
+        } else {
+            rows.push({ y: item.y, items: [item] });
+        }
+    }
+    
+    rows.forEach(row => {
+        row.items.sort((a, b) => a.x - b.x);
+        row.text = row.items.map(item => item.str).join(' ');
+    });
+    
+    return rows;
+}
+
+/**
+ * Derive column spans from the anchor rows and assign a line item field to each column
+ * @param {Array} anchorRows - Rows containing a VAT code and amounts
+ * @returns {Array|null} Columns ({x0, x1, role}) ordered left to right, or null
+ */
+function detectTableColumns(anchorRows) {
+    // Merge overlapping X intervals across all anchor rows (handles left and right aligned cells)
+    const intervals = anchorRows
+        .flatMap(row => row.items.map(item => ({ x0: item.x, x1: item.x + item.width })))
+        .sort((a, b) => a.x0 - b.x0);
+    
+    const columns = [];
+    for (const interval of intervals) {
+        const last = columns[columns.length - 1];
+        if (last && interval.x0 <= last.x1 + LAYOUT_COLUMN_GAP) {
+            last.x1 = Math.max(last.x1, interval.x1);
+        } else {
+            columns.push({ ...interval, role: null });
+        }
+    }
+    
+    // Classify columns by their cell contents
+    const cellsOf = column => anchorRows
+        .map(row => assignCellsToColumns(row.items, columns, true)[columns.indexOf(column)])
+        .filter(Boolean);
+    const share = (cells, pattern) => cells.length ? cells.filter(cell => pattern.test(cell)).length / cells.length : 0;
+    
+    const vatIndex = columns.findIndex(column => share(cellsOf(column), VAT_CELL_PATTERN) >= 0.5);
+    if (vatIndex < 1) return null;
+    columns[vatIndex].role = 'vat';
+    
+    // Amounts to the right of the VAT column: last is the position total, the one before the unit price
+    const amountColumns = columns.slice(vatIndex + 1).filter(column => share(cellsOf(column), AMOUNT_CELL_PATTERN) >= 0.5);
+    if (amountColumns.length === 0) return null;
+    amountColumns[amountColumns.length - 1].role = 'positionTotal';
+    if (amountColumns.length > 1) amountColumns[amountColumns.length - 2].role = 'unitPrice';
+    
+    // Left of the VAT column: [position] [material] description [quantity] [unit]
+    const leftColumns = columns.slice(0, vatIndex);
+    const textScore = column => cellsOf(column).reduce((sum, cell) => sum + (cell.match(/[A-Za-z]/g) || []).length, 0);
+    const descriptionColumn = leftColumns.reduce((best, column) => textScore(column) > textScore(best) ? column : best);
+    descriptionColumn.role = 'positionDescription';
+    
+    const descriptionIndex = leftColumns.indexOf(descriptionColumn);
+    const beforeDescription = leftColumns.slice(0, descriptionIndex);
+    if (beforeDescription[0]) beforeDescription[0].role = 'position';
+    if (beforeDescription[1]) beforeDescription[1].role = 'material';
+    
+    leftColumns.slice(descriptionIndex + 1).forEach(column => {
+        const cells = cellsOf(column);
+        if (share(cells, /^\d+[.,]?\d*$/) >= 0.5) {
+            column.role = 'positionQuantity';
+        } else if (share(cells, /^[A-Za-z]{1,5}$/) >= 0.5) {
+            column.role = 'unit';
+        } else if (share(cells, /^\d+[.,]?\d*\s+[A-Za-z]{1,5}$/) >= 0.5) {
+            column.role = 'quantityUnit'; // Quantity and unit printed as one text item
+        }
+    });
+    
+    return columns;
+}
+
+/**
+ * Assign the items of a row to the detected columns
+ * @param {Array} items - Row items ordered left to right
+ * @param {Array} columns - Detected columns
+ * @param {boolean} byIndex - Return cell texts by column index instead of by role
+ * @returns {Object|Array} Cell texts keyed by column role (or an array by column index)
+ */
+function assignCellsToColumns(items, columns, byIndex = false) {
+    const cellsByIndex = new Array(columns.length).fill('');
+    
+    items.forEach(item => {
+        const center = item.x + item.width / 2;
+        let index = columns.findIndex(column => center >= column.x0 - LAYOUT_COLUMN_GAP && center <= column.x1 + LAYOUT_COLUMN_GAP);
+        if (index < 0) {
+            // Outside all spans: use the nearest column
+            index = columns.reduce((best, column, i) =>
+                Math.abs(center - (column.x0 + column.x1) / 2) < Math.abs(center - (columns[best].x0 + columns[best].x1) / 2) ? i : best, 0);
+        }
+        cellsByIndex[index] = `${cellsByIndex[index]} ${item.str}`.trim();
+    });
+    
+    if (byIndex) return cellsByIndex;
+    
+    const cells = {};
+    columns.forEach((column, i) => {
+        if (!column.role || !cellsByIndex[i]) return;
+        if (column.role === 'quantityUnit') {
+            const [quantity, unit] = cellsByIndex[i].split(/\s+/);
+            cells.positionQuantity = quantity;
+            cells.unit = unit;
+        } else {
+            cells[column.role] = cellsByIndex[i];
+        }
+    });
+    
+    return cells;
+}
+
+/**
+ * Convert structured table rows from the layout engine into line items
+ * @param {Object} pageLayout - Layout produced by buildPageLayout
+ * @param {number} pageNumber - Page number (1-based)
+ * @param {string} pageText - Page text, used to locate the line of each row
+ * @returns {Array} Extracted line items
+ */
+function extractLineItemsFromLayout(pageLayout, pageNumber, pageText = '') {
+    const lineItems = [];
+    const pageLines = pageText.split('\n');
+    
+    for (const row of pageLayout.tableRows) {
+        const cells = row.cells;
+        const positionTotal = parseAmount(cells.positionTotal);
+        if (positionTotal === null || isNaN(positionTotal)) continue;
+        
+        const description = (cells.positionDescription || '').replace(/\s+/g, ' ').trim();
+        const quantity = cells.positionQuantity ? parseFloat(cells.positionQuantity.replace(',', '.')) : 1;
+        
+        const item = {
+            position: cells.position || String((lineItems.length + 1) * 10).padStart(4, '0'),
+            material: cells.material || '',
+            positionDescription: description || 'Service Item',
+            positionQuantity: isNaN(quantity) ? 1 : quantity,
+            unit: cells.unit || 'PU',
+            vat: cells.vat || '',
+            unitPrice: cells.unitPrice ? parseAmount(cells.unitPrice) : positionTotal,
+            positionTotal: positionTotal,
+            typeCost: classifyCostType(description)
+        };
+        
+        const lineIndex = pageLines.findIndex(line => line.includes(cells.positionTotal) && (!cells.position || line.includes(cells.position)));
+        item.provenance = buildItemProvenance(EXTRACTION_CONFIDENCE.LAYOUT, 'column layout', pageNumber, lineIndex >= 0 ? lineIndex + 1 : null,
+            missingFieldOverrides(cells, ['position', 'material', 'positionDescription', 'positionQuantity', 'unit', 'vat', 'unitPrice']));
+        
+        lineItems.push(item);
+        if (row.wrappedLines) {
+            recordDiagnostic('lineItems', pageNumber, `Column layout merged ${row.wrappedLines} wrapped line(s) into position ${item.position}`, { line: item.provenance.position.line });
+        }
+    }
+    
+    recordDiagnostic('lineItems', pageNumber, `Column layout extracted ${lineItems.length} of ${pageLayout.tableRows.length} table row(s)`, { strategy: 'layout', itemCount: lineItems.length });
+    return lineItems;
+}
+
+/**
+ * Extract the service provision period of a page
+ * @param {string} pageText - Page text
+ * @returns {string} Service period (e.g. "September 2024") or 'Unknown Period'
+ */
 function extractServicePeriodFromPage(pageText) {
+    return extractServicePeriodWithProvenance(pageText).value;
+}
+
+/**
+ * Extract the service provision period of a page together with its confidence
+ * @param {string} pageText - Page text
+ * @returns {Object} { value, confidence, source, line }
+ */
+function extractServicePeriodWithProvenance(pageText) {
     // Look for month names in page headers (JAN 2024, FEB 2025, MAR 2022, etc.)
     // This pattern matches: "MONTH YYYY" where MONTH is 3-letter abbreviation
     
@@ -164,18 +1302,24 @@ function extractServicePeriodFromPage(pageText) {
         const servicePeriod = `${fullMonthName} ${year}`;
         
         console.log(`📅 Extracted service period from page: "${servicePeriod}" (from pattern: "${match[0]}")`);
-        return servicePeriod;
+        return {
+            value: servicePeriod,
+            confidence: 0.85,
+            source: `month header "${match[0]}"`,
+            line: lineNumberAt(pageText, match.index)
+        };
     }
     
-    // Fallback: try to extract from more flexible patterns
+    // Fallback: try to extract from more flexible patterns (MM/YYYY only, never the tail of a full date like 03/01/2025)
     const fallbackPatterns = [
         // Handle variations like "Service Provision Period: 02/2024"
-        /Service.*?Period.*?:?\s*(\d{1,2})[./](\d{4})/i,
+        new RegExp(`Service.*?Period.*?:?\\s*${PERIOD_MONTH}`, 'i'),
         // Handle numeric month patterns
-        /\b(\d{1,2})[./](\d{4})\b/
+        new RegExp(PERIOD_MONTH)
     ];
     
-    for (const pattern of fallbackPatterns) {
+    for (let patternIndex = 0; patternIndex < fallbackPatterns.length; patternIndex++) {
+        const pattern = fallbackPatterns[patternIndex];
         const fallbackMatch = pageText.match(pattern);
         if (fallbackMatch) {
             const month = parseInt(fallbackMatch[1], 10);
@@ -190,13 +1334,108 @@ function extractServicePeriodFromPage(pageText) {
             if (month >= 1 && month <= 12) {
                 const servicePeriod = `${monthNames[month]} ${year}`;
                 console.log(`📅 Extracted service period from fallback: "${servicePeriod}" (from pattern: "${fallbackMatch[0]}")`);
-                return servicePeriod;
+                return {
+                    value: servicePeriod,
+                    confidence: patternIndex === 0 ? 0.7 : 0.45, // Any MM/YYYY on the page is a weak signal
+                    source: `service period fallback: ${pattern}`,
+                    line: lineNumberAt(pageText, fallbackMatch.index)
+                };
             }
         }
     }
     
     console.log('⚠️ Could not extract service period from page.');
-    return 'Unknown Period';
+    return {
+        value: 'Unknown Period',
+        confidence: 0,
+        source: 'no service period found',
+        line: null
+    };
+}
+
+// Building blocks for service period ranges ("01.03.2025 - 15.03.2025", "01/2024 - 03/2024", "JAN 2024 - MAR 2024")
+const SERVICE_PERIOD_LABEL = '(?:Service\\s+Provision\\s+Period|Service\\s+Period|Billing\\s+Period|Leistungszeitraum|Period)';
+const PERIOD_RANGE_SEPARATOR = '\\s*(?:-|–|—|to|until|bis)\\s*';
+const PERIOD_DAY = '(\\d{1,2})[./](\\d{1,2})[./](\\d{4})';
+const PERIOD_MONTH = '(?<![\\d./])(\\d{1,2})[./](\\d{4})(?![./]?\\d)';
+const PERIOD_MONTH_NAME = '\\b(JAN|FEB|MAR|APR|MAY|JUN|JUL|AUG|SEP|OCT|NOV|DEC)[A-Z]*\\.?\\s+(\\d{4})';
+
+const SERVICE_PERIOD_RANGE_PATTERNS = [
+    { regex: new RegExp(`${SERVICE_PERIOD_LABEL}[^\\n\\d]*${PERIOD_DAY}${PERIOD_RANGE_SEPARATOR}${PERIOD_DAY}`, 'i'), kind: 'day', confidence: 0.9 },
+    { regex: new RegExp(`${SERVICE_PERIOD_LABEL}[^\\n\\d]*${PERIOD_MONTH}${PERIOD_RANGE_SEPARATOR}${PERIOD_MONTH}`, 'i'), kind: 'month', confidence: 0.9 },
+    { regex: new RegExp(`${SERVICE_PERIOD_LABEL}[^\\n\\d]*?${PERIOD_MONTH_NAME}${PERIOD_RANGE_SEPARATOR}${PERIOD_MONTH_NAME}`, 'i'), kind: 'monthName', confidence: 0.85 },
+    { regex: new RegExp(`${PERIOD_DAY}${PERIOD_RANGE_SEPARATOR}${PERIOD_DAY}`), kind: 'day', confidence: 0.6 },
+    { regex: new RegExp(`${PERIOD_MONTH_NAME}${PERIOD_RANGE_SEPARATOR}${PERIOD_MONTH_NAME}\\b`, 'i'), kind: 'monthName', confidence: 0.6 }
+];
+
+/**
+ * Extract a service period range (start/end dates) from text
+ * @param {string} text - Page or document text
+ * @param {string|null} dateFormat - Day/month order of numeric dates ('DMY', 'MDY'), DMY when unknown
+ * @returns {Object|null} { value: { start, end }, confidence, source, line } or null
+ */
+function extractServicePeriodRangeWithProvenance(text, dateFormat = null) {
+    const monthNumbers = { JAN: 1, FEB: 2, MAR: 3, APR: 4, MAY: 5, JUN: 6, JUL: 7, AUG: 8, SEP: 9, OCT: 10, NOV: 11, DEC: 12 };
+    
+    for (const { regex, kind, confidence } of SERVICE_PERIOD_RANGE_PATTERNS) {
+        const match = text.match(regex);
+        if (!match) continue;
+        
+        let range = null;
+        if (kind === 'day') {
+            range = createServicePeriodRange(
+                normalizeLocaleDate(`${match[1]}.${match[2]}.${match[3]}`, dateFormat).value,
+                normalizeLocaleDate(`${match[4]}.${match[5]}.${match[6]}`, dateFormat).value
+            );
+        } else {
+            const startMonth = kind === 'month' ? parseInt(match[1], 10) : monthNumbers[match[1].toUpperCase()];
+            const endMonth = kind === 'month' ? parseInt(match[3], 10) : monthNumbers[match[3].toUpperCase()];
+            if (startMonth >= 1 && startMonth <= 12 && endMonth >= 1 && endMonth <= 12) {
+                range = createMonthPeriodRange(parseInt(match[2], 10), startMonth, parseInt(match[4], 10), endMonth);
+            }
+        }
+        
+        if (range) {
+            return {
+                value: range,
+                confidence: confidence,
+                source: `service period range: ${regex}`,
+                line: lineNumberAt(text, match.index)
+            };
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Combine the page's month label and any service period range into the label used for
+ * grouping (serviceProvisionPeriod) and the structured servicePeriodRange
+ * @param {Object} periodResult - Result of extractServicePeriodWithProvenance
+ * @param {Object|null} rangeResult - Range result with page/line, from the page or the whole document
+ * @param {number} pageNumber - Page number (1-based)
+ * @returns {Object} { label, range, labelProvenance, rangeProvenance }
+ */
+function resolveServicePeriod(periodResult, rangeResult, pageNumber) {
+    const labelProvenance = createProvenance(periodResult.confidence, periodResult.source, pageNumber, periodResult.line);
+    const labelMonth = parseInvoiceMonth(periodResult.value).match(/^(\d{4})-(\d{2})$/);
+    const labelRange = labelMonth ? createMonthPeriodRange(parseInt(labelMonth[1], 10), parseInt(labelMonth[2], 10)) : null;
+    
+    // A month header ("OCT 2024") scopes the page's items to that month
+    if (periodResult.source.startsWith('month header') || !rangeResult) {
+        return { label: periodResult.value, range: labelRange, labelProvenance, rangeProvenance: labelProvenance };
+    }
+    
+    const rangeProvenance = createProvenance(rangeResult.confidence, rangeResult.source, rangeResult.page, rangeResult.line);
+    const rangeMonths = getServicePeriodMonths(rangeResult.value);
+    const spansMonths = rangeMonths.length > 1;
+    // A label month outside the range was read from some other number on the page
+    const labelOutsideRange = !!labelRange && !rangeMonths.some(month => labelRange.start.startsWith(`${month.year}-${String(month.monthNumber).padStart(2, '0')}`));
+    
+    if (spansMonths || !labelRange || labelOutsideRange) {
+        return { label: formatServicePeriodRange(rangeResult.value), range: rangeResult.value, labelProvenance: rangeProvenance, rangeProvenance };
+    }
+    return { label: periodResult.value, range: rangeResult.value, labelProvenance, rangeProvenance };
 }
 
 function normalizeServicePeriod(periodStr) {
@@ -216,57 +1455,93 @@ function normalizeServicePeriod(periodStr) {
     return periodStr;
 }
 
+/**
+ * Extract an invoice-level field from text
+ * @param {string} text - Text to search
+ * @param {string} fieldType - Field name (projectId, invoiceNumber, ...)
+ * @returns {string|null} Field value or null
+ */
 function extractField(text, fieldType) {
+    const result = extractFieldWithProvenance(text, fieldType);
+    return result ? result.value : null;
+}
+
+/**
+ * Extract an invoice-level field together with its confidence and source pattern.
+ * Patterns are tried in order; each carries the confidence of a match.
+ * @param {string} text - Text to search
+ * @param {string} fieldType - Field name (projectId, invoiceNumber, ...)
+ * @returns {Object|null} { value, confidence, source, line } or null
+ */
+function extractFieldWithProvenance(text, fieldType) {
     const patterns = {
         projectId: [
-            /([A-Z]{2}\d{2}-PRO\d{7})/,
-            /(PRO\d{7})/,
-            /([A-Z]{2}-PRO\d{7})/
+            { regex: /([A-Z]{2}\d{2}-PRO\d{7})/, confidence: 0.95 },
+            { regex: /(PRO\d{7})/, confidence: 0.75 },
+            { regex: /([A-Z]{2}-PRO\d{7})/, confidence: 0.8 }
         ],
         invoiceNumber: [
-            /Invoice\s+No\.?\s*:?\s*(\d+)/i,
-            /Credit\s+Note\s+No\.?\s*:?\s*(\d+)/i,
-            /Invoice\s+Number\s*:?\s*(\d+)/i
+            // "Original Invoice No." on a credit note names the corrected invoice, not the document
+            { regex: /(?<!(?:Original|Referenced?|Related|Corrected|Cancell?ed)\s+)Invoice\s+No\.?\s*:?\s*(\d+)/i, confidence: 0.95 },
+            { regex: /Credit\s+Note\s+No\.?\s*:?\s*(\d+)/i, confidence: 0.95 },
+            { regex: /(?<!(?:Original|Referenced?|Related|Corrected|Cancell?ed)\s+)Invoice\s+Number\s*:?\s*(\d+)/i, confidence: 0.9 }
+        ],
+        originalInvoiceNumber: [
+            { regex: /(?:Original|Referenced?|Related|Corrected|Cancell?ed)[ \t]+Invoice[ \t]*(?:No\.?|Number|#)?[ \t]*:?[ \t]*([A-Z0-9][A-Z0-9\-\/]*\d)/i, confidence: 0.95 },
+            { regex: /(?:Credit(?:[ \t]+Note)?|Refers?|Relates?)[ \t]+(?:for|to)[ \t]+Invoice[ \t]*(?:No\.?|Number|#)?[ \t]*:?[ \t]*([A-Z0-9][A-Z0-9\-\/]*\d)/i, confidence: 0.9 },
+            { regex: /(?:Ursprungsrechnung|Bezugsrechnung|(?:Korrektur|Gutschrift|Storno)[ \t]+zu(?:r)?[ \t]+Rechnung)[ \t]*(?:Nr\.?|Nummer)?[ \t]*:?[ \t]*([A-Z0-9][A-Z0-9\-\/]*\d)/i, confidence: 0.85 },
+            { regex: /Invoice[ \t]+Reference[ \t]*:?[ \t]*([A-Z0-9][A-Z0-9\-\/]*\d)/i, confidence: 0.8 }
         ],
         customerId: [
-            /Customer\s+ID\s*:?\s*(\d+)/i,
-            /Client\s+ID\s*:?\s*(\d+)/i
+            { regex: /Customer\s+ID\s*:?\s*(\d+)/i, confidence: 0.95 },
+            { regex: /Client\s+ID\s*:?\s*(\d+)/i, confidence: 0.85 }
         ],
         dateOfInvoice: [
-            /Date\s*:?\s*(\d{1,2}[./]\d{1,2}[./]\d{4})/i,
-            /Invoice\s+Date\s*:?\s*(\d{1,2}[./]\d{1,2}[./]\d{4})/i
+            { regex: /Date\s*:?\s*(\d{1,2}[./]\d{1,2}[./]\d{4})/i, confidence: 0.8 },
+            { regex: /Invoice\s+Date\s*:?\s*(\d{1,2}[./]\d{1,2}[./]\d{4})/i, confidence: 0.95 }
         ],
         currency: [
-            /Currency\s*:?\s*([A-Z]{3})/i,
-            /(EUR|USD|GBP)/
+            { regex: /Currency\s*:?\s*([A-Z]{3})/i, confidence: 0.95 },
+            { regex: /(EUR|USD|GBP)/, confidence: 0.4 } // Any currency code anywhere in the text
         ],
         vat: [
-            /VAT\s*ID\s*:?\s*([A-Z0-9]+)/i,
-            /BTW\s*:?\s*([A-Z0-9]+)/i
+            { regex: /VAT\s*ID\s*:?\s*([A-Z0-9]+)/i, confidence: 0.9 },
+            { regex: /BTW\s*:?\s*([A-Z0-9]+)/i, confidence: 0.8 }
         ],
         serviceProvisionPeriod: [
-            /Service\s+Provision\s+Period\s*:?\s*(\d{1,2}[./]\d{4}(?:\s*-\s*\d{1,2}[./]\d{4})?)/i,
-            /Period\s*:?\s*(\d{1,2}[./]\d{4}(?:\s*-\s*\d{1,2}[./]\d{4})?)/i,
-            /([A-Z]{3,9}\s+\d{4})/i,
+            { regex: /Service\s+Provision\s+Period\s*:?\s*(\d{1,2}[./]\d{4}(?:\s*-\s*\d{1,2}[./]\d{4})?)/i, confidence: 0.9 },
+            { regex: /Period\s*:?\s*(\d{1,2}[./]\d{4}(?:\s*-\s*\d{1,2}[./]\d{4})?)/i, confidence: 0.75 },
+            { regex: /([A-Z]{3,9}\s+\d{4})/i, confidence: 0.4 },
             // More flexible patterns for various formats
-            /Service.*?Period.*?:?\s*([0-9][0-9]?[./]\d{4}(?:\s*-\s*[0-9][0-9]?[./]\d{4})?)/i,
-            /Provision.*?Period.*?:?\s*([0-9][0-9]?[./]\d{4}(?:\s*-\s*[0-9][0-9]?[./]\d{4})?)/i
+            { regex: /Service.*?Period.*?:?\s*([0-9][0-9]?[./]\d{4}(?:\s*-\s*[0-9][0-9]?[./]\d{4})?)/i, confidence: 0.6 },
+            { regex: /Provision.*?Period.*?:?\s*([0-9][0-9]?[./]\d{4}(?:\s*-\s*[0-9][0-9]?[./]\d{4})?)/i, confidence: 0.6 }
         ]
     };
     
     const fieldPatterns = patterns[fieldType] || [];
     
-    for (const pattern of fieldPatterns) {
-        const match = text.match(pattern);
+    for (const { regex, confidence } of fieldPatterns) {
+        const match = text.match(regex);
         if (match) {
-            return match[1];
+            return {
+                value: match[1],
+                confidence: confidence,
+                source: `extractField ${fieldType}: ${regex}`,
+                line: lineNumberAt(text, match.index)
+            };
         }
     }
     
     return null;
 }
 
-function extractMonthFromDate(dateStr) {
+/**
+ * Month name of an invoice date
+ * @param {string} dateStr - Date, DD.MM.YYYY unless dateFormat says otherwise
+ * @param {string|null} dateFormat - Day/month order ('DMY', 'MDY', 'YMD'), DMY when unknown
+ * @returns {string|null} Month name, e.g. "October"
+ */
+function extractMonthFromDate(dateStr, dateFormat = null) {
     if (!dateStr) return null;
     
     const months = {
@@ -275,10 +1550,9 @@ function extractMonthFromDate(dateStr) {
         '09': 'September', '10': 'October', '11': 'November', '12': 'December'
     };
     
-    // Handle different date formats
-    const parts = dateStr.split(/[./-]/);
+    // Bring the date into DD.MM.YYYY order first
+    const parts = normalizeLocaleDate(dateStr, dateFormat).value.split(/[./-]/);
     if (parts.length >= 3) {
-        // Assuming DD.MM.YYYY format
         const monthNum = parts[1].padStart(2, '0');
         return months[monthNum] || null;
     }
@@ -286,17 +1560,97 @@ function extractMonthFromDate(dateStr) {
     return null;
 }
 
-function detectCreditNote(text) {
-    const creditIndicators = [
-        'credit note', 'creditnote', 'credit memo', 'refund',
-        'return', 'adjustment', 'reversal'
+// ===== CREDIT NOTE DETECTION =====
+
+// Credit note document names, in English, German, French, Dutch and Italian
+const CREDIT_NOTE_TITLE = '(?:Credit[ \\t]*Note|Credit[ \\t]*Memo|Gutschrift|Rechnungskorrektur|Stornorechnung|Avoir|Creditnota|Nota[ \\t]+di[ \\t]+credito)';
+
+// The document title on a line of its own, optionally followed by the document number
+const CREDIT_NOTE_TITLE_PATTERN = new RegExp(`^[ \\t]*${CREDIT_NOTE_TITLE}[ \\t]*(?:(?:No\\.?|Nr\\.?|Number|#)[ \\t]*:?[ \\t]*[A-Z0-9\\-\\/]+)?[ \\t]*$`, 'im');
+
+// The title used as number label ("Credit Note No.: 9120002278"); the number is the first capture group
+const CREDIT_NOTE_NUMBER_LABEL = `${CREDIT_NOTE_TITLE}[ \\t-]*(?:No\\b\\.?|Nr\\b\\.?|Number\\b|#)[ \\t]*:?[ \\t]*([A-Z0-9][A-Z0-9\\-\\/]*)`;
+
+// The number label opening a header line. In body text it cites another document
+// ("This invoice is reduced by Credit Note No. 9120002270") and does not count.
+const CREDIT_NOTE_NUMBER_LABEL_PATTERN = new RegExp(`^[ \\t]*${CREDIT_NOTE_NUMBER_LABEL}`, 'im');
+
+// A sentence stating the document type ("This is a credit note, no payment is to be made.")
+const CREDIT_NOTE_STATEMENT_PATTERN = new RegExp(`\\b(?:This|The)[ \\t]+(?:document[ \\t]+)?is[ \\t]+an?[ \\t]+${CREDIT_NOTE_TITLE}\\b`, 'i');
+
+/**
+ * Detect a credit note from its document title, number or an explicit statement of the document
+ * type. Words like "refund" or "adjustment" in the body text do not make an invoice a credit note,
+ * and neither does a credit note number cited in the body.
+ * @param {string} text - Document text
+ * @param {string|null} documentNumber - Extracted invoice / credit note number
+ * @param {Object|null} template - Matching supplier template; its creditNoteNumber patterns mark
+ *   the supplier's credit note numbering scheme (e.g. "^GS\\d+")
+ * @returns {Object} { value, confidence, source, line }
+ */
+function detectCreditNoteWithProvenance(text, documentNumber = null, template = null) {
+    const headerLabel = text.match(CREDIT_NOTE_NUMBER_LABEL_PATTERN);
+    if (headerLabel) {
+        return { value: true, confidence: 0.95, source: 'credit note number label', line: lineNumberAt(text, headerLabel.index) };
+    }
+    
+    // The label may also sit further along a header line, when it introduces the document's own number
+    const documentLabel = documentNumber
+        ? [...text.matchAll(new RegExp(CREDIT_NOTE_NUMBER_LABEL, 'gi'))].find(match => match[1] === documentNumber)
+        : null;
+    if (documentLabel) {
+        return { value: true, confidence: 0.95, source: 'credit note number label of the document number', line: lineNumberAt(text, documentLabel.index) };
+    }
+    
+    const checks = [
+        { regex: CREDIT_NOTE_TITLE_PATTERN, confidence: 0.9, source: 'credit note document title' },
+        { regex: CREDIT_NOTE_STATEMENT_PATTERN, confidence: 0.85, source: 'credit note statement' }
     ];
     
-    const textLower = text.toLowerCase();
-    return creditIndicators.some(indicator => textLower.includes(indicator));
+    for (const { regex, confidence, source } of checks) {
+        const match = text.match(regex);
+        if (match) {
+            return { value: true, confidence: confidence, source: source, line: lineNumberAt(text, match.index) };
+        }
+    }
+    
+    const numberPatterns = template && template.creditNoteNumber ? [].concat(template.creditNoteNumber) : [];
+    const numberScheme = documentNumber ? numberPatterns.map(pattern => toTemplateRegExp(pattern)).find(regex => regex.test(documentNumber)) : null;
+    if (numberScheme) {
+        return { value: true, confidence: EXTRACTION_CONFIDENCE.TEMPLATE, source: `template ${template.id} credit note numbers: ${numberScheme}`, line: null };
+    }
+    
+    return { value: false, confidence: 0.8, source: 'no credit note title or number', line: null };
 }
 
+/**
+ * Check whether a document is a credit note (see detectCreditNoteWithProvenance)
+ * @param {string} text - Document text
+ * @param {string|null} documentNumber - Extracted invoice / credit note number
+ * @param {Object|null} template - Matching supplier template
+ * @returns {boolean} True for credit notes
+ */
+function detectCreditNote(text, documentNumber = null, template = null) {
+    return detectCreditNoteWithProvenance(text, documentNumber, template).value;
+}
+
+/**
+ * Extract the invoice total from a page
+ * @param {string} pageText - Page text
+ * @returns {number|null} Invoice total or null
+ */
 function extractInvoiceTotal(pageText) {
+    const result = extractInvoiceTotalWithProvenance(pageText);
+    return result ? result.amount : null;
+}
+
+/**
+ * Extract the invoice total from a page together with its confidence and source line
+ * @param {string} pageText - Page text
+ * @param {number|null} pageNumber - Page number (1-based), for the diagnostics
+ * @returns {Object|null} { amount, confidence, source, line } or null
+ */
+function extractInvoiceTotalWithProvenance(pageText, pageNumber = null) {
     // Extract the invoice total from the PDF text
     // More flexible patterns that handle line breaks and spacing
     const totalPatterns = [
@@ -316,6 +1670,7 @@ function extractInvoiceTotal(pageText) {
     // Also try finding amounts near "Total" word
     const lines = pageText.split('\n');
     let extractedTotal = null;
+    let totalSource = null;
     
     // Collect all potential totals, then choose the best one
     const potentialTotals = [];
@@ -323,11 +1678,9 @@ function extractInvoiceTotal(pageText) {
     for (let i = 0; i < lines.length; i++) {
         const line = lines[i];
         if (/\b(Total|Subtotal.*\(Net\)|Subtotal)\b/i.test(line) && !/Position.*Total/i.test(line)) {
-            console.log(`🔍 Found total/subtotal line: "${line.trim()}"`);
-            
             // Skip VAT lines - we want actual totals, not VAT amounts
             if (/VAT\s+[0-9.,]+%/i.test(line)) {
-                console.log(`⚠️ Skipping VAT line: "${line.trim()}"`);
+                recordDiagnostic('total', pageNumber, `Skipped VAT line "${line.trim()}"`, { line: i + 1 });
                 continue;
             }
             
@@ -361,9 +1714,11 @@ function extractInvoiceTotal(pageText) {
                         amount: bestAmount,
                         type: isMainTotal ? 'Total' : 'Subtotal',
                         line: line.trim(),
+                        lineNumber: i + 1,
+                        confidence: isMainTotal ? 0.9 : 0.7,
                         priority: isMainTotal ? 1 : 2 // Main Total has higher priority
                     });
-                    console.log(`💰 Found potential ${isMainTotal ? 'Total' : 'Subtotal'}: ${bestAmount} from "${line.trim()}"`);
+                    recordDiagnostic('total', pageNumber, `Potential ${isMainTotal ? 'Total' : 'Subtotal'} ${bestAmount} on "${line.trim()}"`, { line: i + 1, amount: bestAmount });
                 }
             }
             
@@ -374,7 +1729,7 @@ function extractInvoiceTotal(pageText) {
                     
                     // Skip VAT lines when looking for totals
                     if (/VAT\s+[0-9.,]+%/i.test(checkLine)) {
-                        console.log(`⚠️ Skipping VAT line in next-line search: "${checkLine.trim()}"`);
+                        recordDiagnostic('total', pageNumber, `Skipped VAT line "${checkLine.trim()}" below "${line.trim()}"`, { line: j + 1 });
                         continue;
                     }
                     
@@ -393,9 +1748,11 @@ function extractInvoiceTotal(pageText) {
                                 amount: largestAmount,
                                 type: isMainTotal ? 'Total' : 'Subtotal',
                                 line: `${line.trim()} -> ${checkLine.trim()}`,
+                                lineNumber: j + 1,
+                                confidence: isMainTotal ? 0.7 : 0.55, // Amount found on a following line
                                 priority: isMainTotal ? 1 : 2
                             });
-                            console.log(`💰 Found potential ${isMainTotal ? 'Total' : 'Subtotal'}: ${largestAmount} from next line: "${checkLine.trim()}"`);
+                            recordDiagnostic('total', pageNumber, `Potential ${isMainTotal ? 'Total' : 'Subtotal'} ${largestAmount} on the line below "${line.trim()}"`, { line: j + 1, amount: largestAmount });
                             break;
                         }
                     }
@@ -406,8 +1763,6 @@ function extractInvoiceTotal(pageText) {
     
     // Choose the best total: prefer "Total" over "Subtotal", then by position (later in document)
     if (potentialTotals.length > 0) {
-        console.log(`🔍 All potential totals found:`, potentialTotals);
-        
         // Sort by priority (1=Total, 2=Subtotal), then by index (later in document wins)
         potentialTotals.sort((a, b) => {
             if (a.priority !== b.priority) return a.priority - b.priority;
@@ -415,7 +1770,13 @@ function extractInvoiceTotal(pageText) {
         });
         
         extractedTotal = potentialTotals[0].amount;
-        console.log(`✅ Selected best total: ${extractedTotal} from ${potentialTotals[0].type} line: "${potentialTotals[0].line}"`);
+        totalSource = {
+            confidence: potentialTotals[0].confidence,
+            source: `${potentialTotals[0].type} line "${potentialTotals[0].line}"`,
+            line: potentialTotals[0].lineNumber
+        };
+        recordDiagnostic('total', pageNumber, `Page total ${extractedTotal} from ${potentialTotals[0].type} line "${potentialTotals[0].line}"` +
+            (potentialTotals.length > 1 ? ` (Total lines beat Subtotal lines, then the first one wins)` : ''), { line: potentialTotals[0].lineNumber, amount: extractedTotal });
     }
     
     // Fallback to regex patterns
@@ -429,7 +1790,12 @@ function extractInvoiceTotal(pageText) {
                     const amount = parseAmount(amountMatch[1]);
                     if (amount !== null && amount !== 0) {
                         extractedTotal = amount;
-                        console.log(`💰 Found invoice total: ${extractedTotal} from pattern: ${pattern}`);
+                        totalSource = {
+                            confidence: 0.35, // Regex fallback, may pick up unrelated amounts
+                            source: `total fallback pattern ${pattern}`,
+                            line: lineNumberAt(pageText, pageText.lastIndexOf(lastMatch))
+                        };
+                        recordDiagnostic('total', pageNumber, `No Total line with an amount, fallback pattern ${pattern} found ${extractedTotal}`, { line: totalSource.line, amount: extractedTotal });
                         break;
                     }
                 }
@@ -437,14 +1803,25 @@ function extractInvoiceTotal(pageText) {
         }
     }
     
-    return extractedTotal;
+    return extractedTotal === null ? null : { amount: extractedTotal, ...totalSource };
 }
 
-function extractLineItems(pageText, pageNumber) {
+/**
+ * Extract line items from a page
+ * @param {string} pageText - Page text (rows joined with spaces)
+ * @param {number} pageNumber - Page number (1-based)
+ * @param {Object} pageLayout - Optional column layout of the page (see buildPageLayout)
+ * @returns {Array} Extracted line items
+ */
+function extractLineItems(pageText, pageNumber, pageLayout = null) {
     const lineItems = [];
     
-    console.log(`🔍 Debugging page ${pageNumber} text extraction:`);
-    console.log('Raw page text length:', pageText.length);
+    // Preferred: structured rows from the column layout (keeps wrapped descriptions intact)
+    if (pageLayout && pageLayout.tableRows && pageLayout.tableRows.length > 0) {
+        const layoutItems = extractLineItemsFromLayout(pageLayout, pageNumber, pageText);
+        if (layoutItems.length > 0) return layoutItems;
+        recordDiagnostic('lineItems', pageNumber, 'Column layout produced no line items, falling back to the text strategies');
+    }
     
     // Step 1: Filter text to section BEFORE Subtotal/Total boundaries
     const lines = pageText.split('\n');
@@ -453,27 +1830,32 @@ function extractLineItems(pageText, pageNumber) {
     for (const line of lines) {
         // Stop at subtotal/total boundaries, but not "Position Total" headers
         if ((/\b(Subtotal|Total)\b/i.test(line) && !/Position.*Total/i.test(line))) {
-            console.log(`🛑 Stopping at boundary: "${line.trim()}"`);
+            recordDiagnostic('lineItems', pageNumber, `Line item section ends at total line "${line.trim()}"`, { line: lineItemSection.length + 1 });
             break;
         }
         lineItemSection.push(line);
     }
     
-    console.log(`📄 Page ${pageNumber} has ${lines.length} total lines, processing ${lineItemSection.length} lines before totals`);
-    
     // Step 2: Find candidate lines using VAT pattern anchor
-    const candidateLines = lineItemSection.filter(line => {
+    // Line numbers are kept by index: identical positions repeat the same text on different lines
+    const candidateLineNumbers = [];
+    lineItemSection.forEach((line, index) => {
         const trimmed = line.trim();
         // Look for VAT percentage pattern: number%({code})
-        return trimmed.length > 20 && /\d+[.,]?\d*%\([A-Z0-9]+\)/.test(trimmed);
+        if (trimmed.length > 20 && /\d+[.,]?\d*%\([A-Z0-9]+\)/.test(trimmed)) {
+            candidateLineNumbers.push(index + 1);
+        }
     });
+    const candidateLines = candidateLineNumbers.map(lineNumber => lineItemSection[lineNumber - 1]);
     
-    console.log(`🎯 Found ${candidateLines.length} candidate lines with VAT patterns:`, candidateLines);
+    recordDiagnostic('lineItems', pageNumber, `${candidateLines.length} of ${lineItemSection.length} line(s) before the totals carry a VAT code like "19%(A1)"`, {
+        lines: candidateLineNumbers
+    });
     
     // Step 3: Strategy 1 - Structured VAT-anchored parsing
     const structuredPattern = /(\d{4})\s+(\d{6})\s+(.+?)\s+(\d+[.,]?\d*)\s+([A-Z]+)\s+(\d+[.,]?\d*%\([A-Z0-9]+\))\s+([\d.,]+)\s+([\d.,]+-?)/g;
     
-    for (const line of candidateLines) {
+    for (const [candidateIndex, line] of candidateLines.entries()) {
         const match = structuredPattern.exec(line);
         if (match) {
             const [fullMatch, position, material, description, quantity, unit, vat, unitPrice, total] = match;
@@ -487,12 +1869,12 @@ function extractLineItems(pageText, pageNumber) {
                 vat: vat,
                 unitPrice: parseAmount(unitPrice),
                 positionTotal: parseAmount(total),
-                typeCost: classifyCostType(description)
+                typeCost: classifyCostType(description),
+                provenance: buildItemProvenance(EXTRACTION_CONFIDENCE.STRUCTURED, 'Strategy 1 (VAT-anchored)', pageNumber, candidateLineNumbers[candidateIndex])
             };
             
             if (item.positionTotal !== null) {
                 lineItems.push(item);
-                console.log(`✅ Strategy 1 (VAT-anchored) extracted: ${item.position} ${item.positionDescription} = ${item.positionTotal}`);
             }
         }
         // Reset regex for next line
@@ -500,12 +1882,10 @@ function extractLineItems(pageText, pageNumber) {
     }
     
     // Step 4: Strategy 2 - Flexible parsing for lines with VAT patterns
-    if (lineItems.length === 0) {
-        console.log('📋 Strategy 1 failed, trying flexible VAT-based parsing...');
+    if (lineItems.length === 0 && candidateLines.length > 0) {
+        recordDiagnostic('lineItems', pageNumber, 'Strategy 1 (VAT-anchored) matched no candidate line, trying Strategy 2 (flexible VAT)');
         
-        for (const line of candidateLines) {
-            console.log(`🔍 Analyzing VAT line: "${line.trim()}"`);
-            
+        for (const [candidateIndex, line] of candidateLines.entries()) {
             const parts = line.trim().split(/\s+/);
             
             // Find position (4 digits at start)
@@ -521,11 +1901,13 @@ function extractLineItems(pageText, pageNumber) {
                     const material = parts[posIndex + 1] || '';
                     let description = '';
                     let quantity = 1;
+                    let quantityFound = false;
                     
                     // Find where description ends and quantity begins
                     for (let i = posIndex + 2; i < vatIndex - 2; i++) {
                         if (/^\d+[.,]?\d*$/.test(parts[i]) && !description.includes(parts[i])) {
                             quantity = parseFloat(parts[i].replace(',', '.'));
+                            quantityFound = true;
                             break;
                         } else {
                             description += parts[i] + ' ';
@@ -544,9 +1926,16 @@ function extractLineItems(pageText, pageNumber) {
                         typeCost: classifyCostType(description)
                     };
                     
+                    const guessed = EXTRACTION_CONFIDENCE.GUESSED;
+                    item.provenance = buildItemProvenance(EXTRACTION_CONFIDENCE.FLEXIBLE, 'Strategy 2 (flexible VAT)', pageNumber, candidateLineNumbers[candidateIndex], {
+                        ...(description.trim() ? {} : { positionDescription: guessed }),
+                        ...(quantityFound ? {} : { positionQuantity: guessed }),
+                        ...(parts[vatIndex - 1] ? {} : { unit: guessed }),
+                        ...(parseAmount(parts[vatIndex + 1]) ? {} : { unitPrice: guessed })
+                    });
+                    
                     if (item.positionTotal !== null) {
                         lineItems.push(item);
-                        console.log(`✅ Strategy 2 (flexible VAT) extracted: ${item.position} ${item.positionDescription} = ${item.positionTotal}`);
                     }
                 }
             }
@@ -554,10 +1943,10 @@ function extractLineItems(pageText, pageNumber) {
     }
     
     // Step 5: Strategy 3 - Simple pattern extraction for any line with % and amounts
-    if (lineItems.length === 0) {
-        console.log('📋 Strategy 2 failed, trying simple pattern extraction...');
+    if (lineItems.length === 0 && candidateLines.length > 0) {
+        recordDiagnostic('lineItems', pageNumber, 'Strategy 2 (flexible VAT) found no position and amount, trying Strategy 3 (simple pattern)');
         
-        for (const line of candidateLines) {
+        for (const [candidateIndex, line] of candidateLines.entries()) {
             // Look for: position number ... percentage pattern ... final amount
             const simpleMatch = line.match(/(\d{4})\s+.*?(\d+[.,]?\d*%\([A-Z0-9]+\)).*?([\d.,]+-?)$/);
             if (simpleMatch) {
@@ -583,17 +1972,27 @@ function extractLineItems(pageText, pageNumber) {
                         vat: vat,
                         unitPrice: total,
                         positionTotal: total,
-                        typeCost: classifyCostType(description)
+                        typeCost: classifyCostType(description),
+                        // Quantity, unit and unit price are not read from the line
+                        provenance: buildItemProvenance(EXTRACTION_CONFIDENCE.SIMPLE, 'Strategy 3 (simple pattern)', pageNumber, candidateLineNumbers[candidateIndex], {
+                            ...(material ? {} : { material: EXTRACTION_CONFIDENCE.GUESSED }),
+                            ...(description ? {} : { positionDescription: EXTRACTION_CONFIDENCE.GUESSED }),
+                            positionQuantity: EXTRACTION_CONFIDENCE.GUESSED,
+                            unit: EXTRACTION_CONFIDENCE.GUESSED,
+                            unitPrice: EXTRACTION_CONFIDENCE.GUESSED
+                        })
                     };
                     
                     lineItems.push(item);
-                    console.log(`✅ Strategy 3 (simple pattern) extracted: ${item.position} ${item.positionDescription} = ${item.positionTotal}`);
                 }
             }
         }
     }
     
-    console.log(`📊 Page ${pageNumber}: Final result = ${lineItems.length} line items`);
+    const strategy = lineItems.length > 0 ? lineItems[0].provenance.position.source : null;
+    recordDiagnostic('lineItems', pageNumber, strategy
+        ? `${strategy} extracted ${lineItems.length} line item(s)`
+        : 'No strategy extracted line items', { strategy: strategy, itemCount: lineItems.length });
     return lineItems;
 }
 
@@ -618,43 +2017,137 @@ function extractQuantity(parts, startIndex, endIndex) {
     return 1;
 }
 
-function parseAmount(amountStr) {
-    if (!amountStr) return null;
-    
-    // Handle European format with trailing minus
-    const isNegative = amountStr.endsWith('-');
-    let cleanAmount = amountStr.replace('-', '');
-    
-    // Convert European format (123.456,78) to standard (123456.78)
-    if (cleanAmount.includes(',') && cleanAmount.lastIndexOf(',') > cleanAmount.lastIndexOf('.')) {
-        cleanAmount = cleanAmount.replace(/\./g, '').replace(',', '.');
-    } else {
-        cleanAmount = cleanAmount.replace(/,/g, '');
-    }
-    
-    const amount = parseFloat(cleanAmount);
-    return isNegative ? -amount : amount;
+// ===== EXTRACTION DIAGNOSTICS =====
+
+// Why the extractor chose line items and total of the invoice being extracted, set by extractInvoiceData
+let activeDiagnostics = null;
+
+const DIAGNOSTIC_STEP_LABELS = {
+    text: 'Text',
+    supplier: 'Supplier',
+    lineItems: 'Line items',
+    total: 'Total'
+};
+
+/**
+ * Create the diagnostics record of an invoice (attached to each of its line items as item.diagnostics)
+ * @param {Object|null} template - Matching supplier template
+ * @returns {Object} { supplierTemplateId, entries: [{ step, page, message, ... }], totalCandidates, selectedTotal }
+ */
+function createExtractionDiagnostics(template) {
+    return {
+        supplierTemplateId: template ? template.id : null,
+        entries: [],
+        totalCandidates: [],
+        selectedTotal: null
+    };
 }
 
-function classifyCostType(description) {
-    const descLower = description.toLowerCase();
+/**
+ * Record a decision of the line item or total extraction for the invoice being extracted
+ * @param {string} step - 'lineItems' or 'total'
+ * @param {number|null} page - Page number (1-based), null for the whole document
+ * @param {string} message - What was decided and why
+ * @param {Object} details - Optional values behind the decision: line, amount, lines, strategy, itemCount
+ */
+function recordDiagnostic(step, page, message, details = {}) {
+    if (!activeDiagnostics) return;
+    activeDiagnostics.entries.push({ step: step, page: page, message: message, ...details });
+}
+
+/**
+ * Record the invoice total that was chosen
+ * @param {number} amount - Selected total
+ * @param {number|null} page - Page the total was read from
+ * @param {string} reason - Why this total won
+ */
+function recordSelectedTotal(amount, page, reason) {
+    if (!activeDiagnostics) return;
+    activeDiagnostics.selectedTotal = { amount: amount, page: page, reason: reason };
+    recordDiagnostic('total', page, `Selected invoice total ${amount}: ${reason}`, { amount: amount });
+}
+
+/**
+ * Shift the page numbers of diagnostics recorded for a later segment of the document
+ * @param {Object|null} diagnostics - item.diagnostics
+ * @param {number} pageOffset - Pages before the segment
+ * @returns {Object|null} Diagnostics with document page numbers
+ */
+function offsetDiagnosticPages(diagnostics, pageOffset) {
+    if (!diagnostics) return diagnostics;
+    const shift = record => record && record.page ? { ...record, page: record.page + pageOffset } : record;
     
-    // Internal: contains "Application" or "Infrastructure"
-    if (descLower.includes('application') || descLower.includes('infrastructure')) {
-        return 'Internal';
-    }
+    return {
+        ...diagnostics,
+        entries: diagnostics.entries.map(shift),
+        totalCandidates: diagnostics.totalCandidates.map(shift),
+        selectedTotal: shift(diagnostics.selectedTotal)
+    };
+}
+
+/**
+ * Describe the diagnostics of an invoice as text, one decision per line (log and exports)
+ * @param {Object|null} diagnostics - item.diagnostics
+ * @returns {string} e.g. "p.1 Line items: Strategy 1 (VAT-anchored) extracted 3 line item(s)"
+ */
+function formatExtractionDiagnostics(diagnostics) {
+    if (!diagnostics || !Array.isArray(diagnostics.entries)) return '';
+    return diagnostics.entries.map(entry =>
+        `${entry.page ? `p.${entry.page} ` : ''}${DIAGNOSTIC_STEP_LABELS[entry.step] || entry.step}: ${entry.message}`
+    ).join('\n');
+}
+
+// ===== NUMBER AND DATE LOCALE =====
+
+// Number/date format of the invoice being extracted, set by extractInvoiceData.
+// Ambiguous amounts and dates read while it is set are collected in its warnings.
+let activeParseLocale = null;
+
+/**
+ * Parse an amount in the number format of the invoice being extracted
+ * @param {string} amountStr - Amount as printed, e.g. "1.234,56" or "1,234.56-"
+ * @param {string|null} numberFormat - 'de', 'en' or 'ch'; defaults to the invoice's format
+ * @returns {number|null} Parsed amount
+ */
+function parseAmount(amountStr, numberFormat = activeParseLocale ? activeParseLocale.numberFormat : null) {
+    if (!amountStr) return null;
     
-    // External: contains "External" or "Other"
-    if (descLower.includes('external') || descLower.includes('other')) {
-        return 'External';
+    const result = parseLocaleAmount(amountStr, numberFormat);
+    if (result.ambiguous && activeParseLocale) {
+        activeParseLocale.warnings.push(`Ambiguous amount "${amountStr}" read as ${result.value}`);
     }
+    return result.value;
+}
+
+/**
+ * Bring an extracted invoice date into DD.MM.YYYY order and flag day/month ambiguity
+ * @param {string|null} dateStr - Date as printed
+ * @param {string|null} dateFormat - Day/month order of the invoice, null when unknown
+ * @param {Object} headerProvenance - Header provenance; the date's confidence is capped when ambiguous
+ * @returns {string|null} Normalized date
+ */
+function readInvoiceDate(dateStr, dateFormat, headerProvenance) {
+    if (!dateStr) return null;
     
-    // Default classification
-    if (descLower.includes('consultant') || descLower.includes('service') || descLower.includes('support')) {
-        return 'External';
+    const result = normalizeLocaleDate(dateStr, dateFormat);
+    if (result.ambiguous) {
+        if (activeParseLocale) {
+            activeParseLocale.warnings.push(`Ambiguous date "${dateStr}" read as ${result.value} (DD.MM.YYYY)`);
+        }
+        const provenance = headerProvenance.dateOfInvoice;
+        if (provenance) provenance.confidence = Math.min(provenance.confidence, EXTRACTION_CONFIDENCE.SIMPLE);
     }
-    
-    return 'Internal';
+    return result.value;
+}
+
+/**
+ * Classify a position description as Internal or External cost with the cost type rule table.
+ * Only description rules can match here; extractInvoiceData re-classifies the complete line items.
+ * @param {string} description - Position description
+ * @returns {string} 'Internal' or 'External'
+ */
+function classifyCostType(description) {
+    return classifyLineItem({ positionDescription: description }).typeCost;
 }
 
 function createLineItem(match) {
@@ -689,26 +2182,71 @@ function makeCSSClass(str) {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         extractDataFromPDF,
+        extractDataFromInvoiceFile,
+        isXmlInvoiceFile,
+        pageHasTextLayer,
+        buildPageText,
         extractInvoiceData,
+        extractInvoicesFromPages,
+        splitDocumentIntoInvoices,
+        extractVatBreakdown,
+        reconcileVatAmounts,
         extractServicePeriodFromPage,
+        extractServicePeriodRangeWithProvenance,
         extractField,
         extractMonthFromDate,
         detectCreditNote,
+        detectCreditNoteWithProvenance,
         extractInvoiceTotal,
-        extractLineItems
+        extractLineItems,
+        parseAmount,
+        readInvoiceDate,
+        classifyCostType,
+        extractTemplateField,
+        extractLineItemsWithTemplate,
+        extractTemplateTotal,
+        buildPageLayout,
+        extractLineItemsFromLayout,
+        extractFieldWithProvenance,
+        extractServicePeriodWithProvenance,
+        extractInvoiceTotalWithProvenance,
+        formatExtractionDiagnostics,
+        isLowConfidence,
+        EXTRACTION_CONFIDENCE,
+        LOW_CONFIDENCE_THRESHOLD
     };
 }
 
 // Global availability for browser usage
 if (typeof window !== 'undefined') {
     window.extractDataFromPDF = extractDataFromPDF;
+    window.extractDataFromInvoiceFile = extractDataFromInvoiceFile;
+    window.isXmlInvoiceFile = isXmlInvoiceFile;
+    window.pageHasTextLayer = pageHasTextLayer;
+    window.buildPageText = buildPageText;
     window.extractInvoiceData = extractInvoiceData;
+    window.extractInvoicesFromPages = extractInvoicesFromPages;
+    window.splitDocumentIntoInvoices = splitDocumentIntoInvoices;
+    window.extractVatBreakdown = extractVatBreakdown;
+    window.reconcileVatAmounts = reconcileVatAmounts;
     window.extractServicePeriodFromPage = extractServicePeriodFromPage;
+    window.extractServicePeriodRangeWithProvenance = extractServicePeriodRangeWithProvenance;
     window.extractField = extractField;
     window.extractMonthFromDate = extractMonthFromDate;
     window.detectCreditNote = detectCreditNote;
+    window.detectCreditNoteWithProvenance = detectCreditNoteWithProvenance;
     window.extractInvoiceTotal = extractInvoiceTotal;
     window.extractLineItems = extractLineItems;
+    window.extractTemplateField = extractTemplateField;
+    window.extractLineItemsWithTemplate = extractLineItemsWithTemplate;
+    window.extractTemplateTotal = extractTemplateTotal;
+    window.buildPageLayout = buildPageLayout;
+    window.extractLineItemsFromLayout = extractLineItemsFromLayout;
+    window.extractFieldWithProvenance = extractFieldWithProvenance;
+    window.extractServicePeriodWithProvenance = extractServicePeriodWithProvenance;
+    window.extractInvoiceTotalWithProvenance = extractInvoiceTotalWithProvenance;
+    window.formatExtractionDiagnostics = formatExtractionDiagnostics;
+    window.isLowConfidence = isLowConfidence;
     
     console.log('I2E PDF Extractor loaded successfully');
 }
\ No newline at end of file
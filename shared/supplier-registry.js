@@ -0,0 +1,259 @@
+/**
+ * I2E Supplier Registry
+ * Supplier master data (VAT IDs, aliases, currency, payment terms, SAP account names) stored in
+ * IndexedDB, and the resolution of invoices to a registered supplier
+ *
+ * @version 1.0
+ * @author I2E Development Team
+ * @requires i2e-common.js for IndexedDB helpers
+ * @requires supplier-templates.js for normalizeVatId
+ */
+
+// ===== REGISTRY CONFIGURATION =====
+
+/**
+ * Supplier format:
+ * {
+ *     id: 'acme',
+ *     name: 'ACME Consulting GmbH',
+ *     vatIds: ['DE123456789'],                      // Compared without spaces, dots and dashes
+ *     aliases: ['ACME', 'ACME Consulting'],         // Other names printed on invoices
+ *     defaultCurrency: 'EUR',
+ *     paymentTerms: '30 days net',
+ *     sapAccountNames: ['ACME CONSULTING GMBH']     // "Name of offsetting account" in EXT SAP data
+ * }
+ */
+
+// IndexedDB key, stored next to i2e_cost_data_cache
+const SUPPLIER_REGISTRY_KEY = 'i2e_supplier_registry';
+
+// Confidence of a supplier resolution per evidence
+const SUPPLIER_MATCH_CONFIDENCE = {
+    vatId: 0.95,       // Registered VAT ID printed on the invoice
+    name: 0.75         // Supplier name or alias printed on the invoice
+};
+
+let supplierRegistry = null;
+
+// ===== REGISTRY =====
+
+/**
+ * Get the registered suppliers (empty until loadSupplierRegistry or setSupplierRegistry ran)
+ * @returns {Array} Suppliers
+ */
+function getSupplierRegistry() {
+    return supplierRegistry || [];
+}
+
+/**
+ * Load the registry from IndexedDB
+ * @returns {Promise<Array>} Suppliers
+ */
+async function loadSupplierRegistry() {
+    const saved = typeof loadFromIndexedDB === 'function' ? await loadFromIndexedDB(SUPPLIER_REGISTRY_KEY, []) : [];
+    supplierRegistry = Array.isArray(saved) ? saved : [];
+    return supplierRegistry;
+}
+
+/**
+ * Make a supplier list active without saving it (extraction workers and the command line get it this way)
+ * @param {Array} suppliers - Suppliers
+ */
+function setSupplierRegistry(suppliers) {
+    supplierRegistry = suppliers;
+}
+
+/**
+ * Check suppliers for missing ids and names, and for ids, VAT IDs or names used twice
+ * @param {Array} suppliers - Suppliers to check
+ * @returns {Array<string>} Error messages, empty when the list is valid
+ */
+function validateSupplierRegistry(suppliers) {
+    const errors = [];
+    const owners = {};
+    const claim = (kind, value, label) => {
+        const key = `${kind}:${kind === 'VAT ID' ? normalizeVatId(value) : normalizeSupplierName(value)}`;
+        if (owners[key] && owners[key] !== label) {
+            errors.push(`${label}: ${kind} "${value}" is already used by ${owners[key]}`);
+        }
+        owners[key] = label;
+    };
+
+    suppliers.forEach((supplier, index) => {
+        const label = `Supplier ${index + 1}${supplier.name ? ` (${supplier.name})` : ''}`;
+        if (!supplier.name || !supplier.name.trim()) {
+            errors.push(`${label}: name is required`);
+        }
+        if (!supplier.id) {
+            errors.push(`${label}: id is required`);
+        } else if (suppliers.findIndex(other => other.id === supplier.id) !== index) {
+            errors.push(`${label}: id "${supplier.id}" is used twice`);
+        }
+        if (supplier.defaultCurrency && !/^[A-Z]{3}$/.test(supplier.defaultCurrency)) {
+            errors.push(`${label}: default currency must be a 3-letter code like EUR`);
+        }
+        (supplier.vatIds || []).forEach(vatId => {
+            if (!/^[A-Z]{2}[A-Z0-9]{2,13}$/.test(normalizeVatId(vatId))) {
+                errors.push(`${label}: "${vatId}" is not a VAT ID (country code and number)`);
+            }
+            claim('VAT ID', vatId, label);
+        });
+        [supplier.name, ...(supplier.aliases || [])].filter(Boolean).forEach(name => claim('name', name, label));
+    });
+
+    return errors;
+}
+
+/**
+ * Save the registry to IndexedDB and make it the active one
+ * @param {Array} suppliers - Suppliers
+ * @returns {Promise<boolean>} True if the list was valid and saved
+ */
+async function saveSupplierRegistry(suppliers) {
+    const errors = validateSupplierRegistry(suppliers);
+    if (errors.length > 0) {
+        console.error('saveSupplierRegistry: Invalid suppliers', errors);
+        return false;
+    }
+
+    supplierRegistry = suppliers;
+    return saveToIndexedDB(SUPPLIER_REGISTRY_KEY, suppliers);
+}
+
+/**
+ * Create an id for a new supplier
+ * @param {string} name - Supplier name
+ * @returns {string} Supplier id
+ */
+function makeSupplierId(name) {
+    const slug = normalizeSupplierName(name).replace(/\s+/g, '-').slice(0, 30);
+    return `${slug || 'supplier'}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Find a registered supplier
+ * @param {string|null} supplierId - Supplier id
+ * @param {Array} suppliers - Suppliers, defaults to the active registry
+ * @returns {Object|null} Supplier
+ */
+function getSupplierById(supplierId, suppliers = getSupplierRegistry()) {
+    return supplierId ? suppliers.find(supplier => supplier.id === supplierId) || null : null;
+}
+
+// ===== RESOLUTION =====
+
+/**
+ * Normalize a supplier or account name for comparison: case, punctuation and spacing are ignored
+ * @param {string} name - Name
+ * @returns {string} Normalized name
+ */
+function normalizeSupplierName(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9äöüß&]+/g, ' ').trim();
+}
+
+/**
+ * Resolve an invoice to a registered supplier. A registered VAT ID in the document text or the
+ * seller VAT ID of an e-invoice wins; otherwise the longest supplier name or alias found in the text or
+ * the supplier template's name.
+ * @param {string|null} documentText - Text of the invoice (PDF text or XML source), null for cached invoices
+ * @param {Object} invoiceInfo - { supplierVatId, supplierName } of the extracted invoice
+ * @param {Array} suppliers - Suppliers, defaults to the active registry
+ * @returns {Object|null} { supplier, evidence: 'vatId'|'name', value, line, confidence } - line is 1-based in documentText
+ */
+function resolveInvoiceSupplier(documentText, invoiceInfo = {}, suppliers = getSupplierRegistry()) {
+    if (suppliers.length === 0) return null;
+
+    const lines = documentText ? documentText.split('\n') : [];
+    const compactLines = lines.map(normalizeVatId);
+    const nameLines = lines.map(line => ` ${normalizeSupplierName(line)} `);
+    const sellerVatId = normalizeVatId(invoiceInfo.supplierVatId);
+    const templateName = ` ${normalizeSupplierName(invoiceInfo.supplierName)} `;
+
+    // VAT IDs identify a supplier; the first registered one found wins
+    for (const supplier of suppliers) {
+        for (const vatId of supplier.vatIds || []) {
+            const normalized = normalizeVatId(vatId);
+            if (!normalized) continue;
+            const lineIndex = compactLines.findIndex(line => line.includes(normalized));
+            if (lineIndex >= 0 || normalized === sellerVatId) {
+                return {
+                    supplier: supplier,
+                    evidence: 'vatId',
+                    value: vatId,
+                    line: lineIndex >= 0 ? lineIndex + 1 : null,
+                    confidence: SUPPLIER_MATCH_CONFIDENCE.vatId
+                };
+            }
+        }
+    }
+
+    // Names: the longest match is the most specific ("ACME Consulting" before "ACME")
+    let best = null;
+    suppliers.forEach(supplier => {
+        [supplier.name, ...(supplier.aliases || [])].forEach(name => {
+            const normalized = normalizeSupplierName(name);
+            if (!normalized || (best && best.length >= normalized.length)) return;
+
+            const needle = ` ${normalized} `;
+            const lineIndex = nameLines.findIndex(line => line.includes(needle));
+            if (lineIndex >= 0 || templateName.includes(needle)) {
+                best = {
+                    length: normalized.length,
+                    match: {
+                        supplier: supplier,
+                        evidence: 'name',
+                        value: name,
+                        line: lineIndex >= 0 ? lineIndex + 1 : null,
+                        confidence: SUPPLIER_MATCH_CONFIDENCE.name
+                    }
+                };
+            }
+        });
+    });
+
+    return best ? best.match : null;
+}
+
+/**
+ * Check whether an EXT SAP posting belongs to a supplier
+ * @param {Object} supplier - Registered supplier
+ * @param {string} accountName - "Name of offsetting account" of the posting
+ * @returns {boolean} True if the account is one of the supplier's SAP accounts (or its name / alias)
+ */
+function isSupplierSapAccount(supplier, accountName) {
+    const normalized = normalizeSupplierName(accountName);
+    if (!normalized) return false;
+
+    const accountNames = supplier.sapAccountNames && supplier.sapAccountNames.length > 0
+        ? supplier.sapAccountNames
+        : [supplier.name, ...(supplier.aliases || [])];
+    return accountNames.some(name => normalizeSupplierName(name) === normalized);
+}
+
+// ===== EXPORT FOR MODULE USAGE =====
+
+// If using as a module, export functions
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getSupplierRegistry,
+        loadSupplierRegistry,
+        setSupplierRegistry,
+        validateSupplierRegistry,
+        saveSupplierRegistry,
+        makeSupplierId,
+        getSupplierById,
+        normalizeSupplierName,
+        resolveInvoiceSupplier,
+        isSupplierSapAccount,
+        SUPPLIER_REGISTRY_KEY,
+        SUPPLIER_MATCH_CONFIDENCE
+    };
+}
+
+// Global availability for browser usage
+if (typeof window !== 'undefined') {
+    window.resolveInvoiceSupplier = resolveInvoiceSupplier;
+    window.isSupplierSapAccount = isSupplierSapAccount;
+
+    console.log('I2E Supplier Registry loaded successfully');
+}
@@ -0,0 +1,373 @@
+/**
+ * I2E Supplier Templates
+ * Registry of supplier-specific extraction templates used by the PDF extractor
+ *
+ * @version 1.0
+ * @author I2E Development Team
+ */
+
+// ===== TEMPLATE CONFIGURATION =====
+
+/**
+ * Built-in supplier templates.
+ *
+ * Template format (patterns may be RegExp objects or strings, strings are compiled case-insensitive):
+ * {
+ *     id: 'acme-gmbh',
+ *     supplierName: 'ACME GmbH',
+ *     locale: 'de-DE',                          // Optional number/date format (INVOICE_LOCALES key), detected when missing
+ *     match: {
+ *         vatIds: ['DE123456789'],              // Any of these VAT IDs in the document selects the template
+ *         fingerprints: ['ACME GmbH', /Rechnung/i] // All of these must appear when no VAT ID matched
+ *     },
+ *     fields: {                                 // First capture group is the value
+ *         invoiceNumber: ['Rechnungsnummer\\s*:?\\s*(\\d+)'],
+ *         dateOfInvoice: ['Rechnungsdatum\\s*:?\\s*(\\d{1,2}\\.\\d{1,2}\\.\\d{4})']
+ *     },
+ *     lineItems: {                              // Named groups map onto line item fields
+ *         pattern: '^(?<position>\\d+)\\s+(?<positionDescription>.+?)\\s+(?<positionQuantity>[\\d,]+)\\s+(?<unit>\\w+)\\s+(?<unitPrice>[\\d.,]+)\\s+(?<positionTotal>[\\d.,]+-?)$',
+ *         startAfter: 'Pos\\.\\s+Bezeichnung',  // Optional line that opens the line item table
+ *         stopAt: 'Zwischensumme|Gesamtbetrag'  // Optional line that closes the line item table
+ *     },
+ *     total: {
+ *         patterns: ['Gesamtbetrag\\s*:?\\s*([\\d.,]+-?)'],
+ *         pick: 'last'                          // 'first', 'last' or 'largest'
+ *     },
+ *     creditNoteNumber: ['^GS\\d+']            // Optional: document numbers of this supplier's credit notes
+ * }
+ */
+const BUILT_IN_SUPPLIER_TEMPLATES = [];
+
+const SUPPLIER_TEMPLATE_FIELDS = [
+    'projectId', 'invoiceNumber', 'customerId', 'dateOfInvoice', 'currency', 'vat'
+];
+
+const LINE_ITEM_TEMPLATE_GROUPS = [
+    'position', 'material', 'positionDescription', 'positionQuantity',
+    'unit', 'vat', 'unitPrice', 'positionTotal'
+];
+
+let registeredSupplierTemplates = [...BUILT_IN_SUPPLIER_TEMPLATES];
+
+// localStorage key for templates created with the field-mapping trainer
+const SUPPLIER_TEMPLATES_STORAGE_KEY = 'i2e_supplier_templates';
+
+// Fields the trainer can map, with the regex shape of their value
+const TRAINABLE_TEMPLATE_FIELDS = {
+    supplierName: { label: 'Supplier name (header fingerprint)', shape: 'text' },
+    supplierVatId: { label: 'Supplier VAT ID', shape: 'code' },
+    invoiceNumber: { label: 'Invoice number', shape: 'code' },
+    dateOfInvoice: { label: 'Invoice date', shape: 'date' },
+    customerId: { label: 'Customer ID', shape: 'code' },
+    projectId: { label: 'Project ID', shape: 'code' },
+    currency: { label: 'Currency', shape: 'currency' },
+    total: { label: 'Invoice total', shape: 'amount' }
+};
+
+const TEMPLATE_VALUE_SHAPES = {
+    date: '(\\d{1,2}[./-]\\d{1,2}[./-]\\d{2,4})',
+    amount: '(-?[\\d.,]+-?)',
+    number: '(\\d+)',
+    code: '([A-Z0-9][A-Z0-9./-]*)',
+    currency: '([A-Z]{3})'
+};
+
+// ===== TEMPLATE REGISTRY =====
+
+/**
+ * Register a supplier template (replaces an existing template with the same id)
+ * @param {Object} template - Supplier template definition
+ * @returns {boolean} True if the template was registered
+ */
+function registerSupplierTemplate(template) {
+    if (!template || !template.id || !template.match) {
+        console.error('registerSupplierTemplate: Template needs an id and match rules', template);
+        return false;
+    }
+
+    const existingIndex = registeredSupplierTemplates.findIndex(t => t.id === template.id);
+    if (existingIndex >= 0) {
+        registeredSupplierTemplates[existingIndex] = template;
+    } else {
+        registeredSupplierTemplates.push(template);
+    }
+
+    return true;
+}
+
+/**
+ * Remove a supplier template from the registry
+ * @param {string} templateId - Template id
+ * @returns {boolean} True if a template was removed
+ */
+function unregisterSupplierTemplate(templateId) {
+    const before = registeredSupplierTemplates.length;
+    registeredSupplierTemplates = registeredSupplierTemplates.filter(t => t.id !== templateId);
+    return registeredSupplierTemplates.length < before;
+}
+
+/**
+ * Get all registered supplier templates
+ * @returns {Array} Registered templates
+ */
+function getSupplierTemplates() {
+    return [...registeredSupplierTemplates];
+}
+
+/**
+ * Find the supplier template that matches a document.
+ * A VAT ID match wins over a header fingerprint match.
+ * @param {string} fullText - Full document text
+ * @returns {Object|null} Matching template or null
+ */
+function findSupplierTemplate(fullText) {
+    if (!fullText) return null;
+
+    const normalizedText = normalizeVatId(fullText);
+    let bestTemplate = null;
+    let bestScore = 0;
+
+    for (const template of registeredSupplierTemplates) {
+        const match = template.match || {};
+        let score = 0;
+
+        const vatIds = (match.vatIds || []).map(normalizeVatId);
+        if (vatIds.some(vatId => vatId && normalizedText.includes(vatId))) {
+            score = 2;
+        } else {
+            const fingerprints = match.fingerprints || [];
+            if (fingerprints.length > 0 && fingerprints.every(fp => toTemplateRegExp(fp).test(fullText))) {
+                score = 1;
+            }
+        }
+
+        if (score > bestScore) {
+            bestScore = score;
+            bestTemplate = template;
+        }
+    }
+
+    if (bestTemplate) {
+        console.log(`🧩 Using supplier template "${bestTemplate.id}" (${bestScore === 2 ? 'VAT ID' : 'header fingerprint'} match)`);
+    }
+
+    return bestTemplate;
+}
+
+// ===== TEMPLATE PERSISTENCE =====
+
+/**
+ * Get the templates saved by the field-mapping trainer
+ * @returns {Array} Saved templates
+ */
+function getSavedSupplierTemplates() {
+    if (typeof loadFromLocalStorage !== 'function') return [];
+    const saved = loadFromLocalStorage(SUPPLIER_TEMPLATES_STORAGE_KEY, []);
+    return Array.isArray(saved) ? saved : [];
+}
+
+/**
+ * Register all saved templates (called on page load)
+ * @returns {number} Number of templates registered
+ */
+function loadSavedSupplierTemplates() {
+    const saved = getSavedSupplierTemplates();
+    saved.forEach(template => registerSupplierTemplate(template));
+    return saved.length;
+}
+
+/**
+ * Register a template and persist it for future sessions
+ * @param {Object} template - Supplier template (string patterns only, so it survives JSON)
+ * @returns {boolean} True if saved successfully
+ */
+function saveSupplierTemplate(template) {
+    if (!registerSupplierTemplate(template)) return false;
+    
+    const saved = getSavedSupplierTemplates().filter(t => t.id !== template.id);
+    saved.push({ ...template, savedAt: new Date().toISOString() });
+    return saveToLocalStorage(SUPPLIER_TEMPLATES_STORAGE_KEY, saved);
+}
+
+/**
+ * Delete a saved template and remove it from the registry
+ * @param {string} templateId - Template id
+ * @returns {boolean} True if saved templates were updated
+ */
+function deleteSupplierTemplate(templateId) {
+    unregisterSupplierTemplate(templateId);
+    const saved = getSavedSupplierTemplates().filter(t => t.id !== templateId);
+    return saveToLocalStorage(SUPPLIER_TEMPLATES_STORAGE_KEY, saved);
+}
+
+// ===== TEMPLATE TRAINING =====
+
+/**
+ * Guess the value of a field inside a clicked text snippet
+ * (e.g. "Invoice No.: 9115002375" -> "9115002375")
+ * @param {string} field - Trainable field name
+ * @param {string} text - Clicked text
+ * @returns {string} Best guess for the value
+ */
+function guessFieldValue(field, text) {
+    const trimmed = String(text || '').trim();
+    const shape = (TRAINABLE_TEMPLATE_FIELDS[field] || {}).shape;
+    
+    if (shape === 'text') return trimmed;
+    
+    const shapePattern = new RegExp(shape === 'code' ? '([A-Z0-9][A-Z0-9./-]*\\d[A-Z0-9./-]*)' : TEMPLATE_VALUE_SHAPES[shape], 'gi');
+    const matches = trimmed.match(shapePattern);
+    return matches ? matches[matches.length - 1] : trimmed;
+}
+
+/**
+ * Build a regex pattern (string) that finds a value by the label printed next to it
+ * @param {string} field - Trainable field name
+ * @param {Object} selection - { value, label, labelAbove } picked in the trainer
+ * @returns {string|null} Pattern with the value as first capture group, or null without a label
+ */
+function buildFieldPattern(field, selection) {
+    const label = String(selection.label || '').replace(/[:\s]+$/, '').trim();
+    if (!label) return null;
+    
+    const fieldShape = (TRAINABLE_TEMPLATE_FIELDS[field] || {}).shape;
+    const shape = fieldShape === 'code' && /^\d+$/.test(selection.value) ? 'number' : fieldShape;
+    const labelPattern = escapeTemplateRegExp(label).replace(/\s+/g, '\\s+');
+    
+    if (selection.labelAbove) {
+        // Label on the line above the value
+        return `${labelPattern}[^\\n]*\\n[^\\n]*?${TEMPLATE_VALUE_SHAPES[shape]}`;
+    }
+    return `${labelPattern}\\s*:?\\s*${TEMPLATE_VALUE_SHAPES[shape]}`;
+}
+
+/**
+ * Build a supplier template from the fields picked in the trainer
+ * @param {string} supplierName - Display name of the supplier
+ * @param {Object} selections - Picked values keyed by trainable field ({ value, label, labelAbove })
+ * @param {string} fullText - Text of the training document, used to verify the patterns
+ * @returns {Object} { template, warnings } (template is null when it cannot be matched to a supplier)
+ */
+function buildTemplateFromSelections(supplierName, selections, fullText = '') {
+    const warnings = [];
+    const match = { vatIds: [], fingerprints: [] };
+    
+    if (selections.supplierVatId && selections.supplierVatId.value) {
+        match.vatIds.push(normalizeVatId(selections.supplierVatId.value));
+    }
+    if (selections.supplierName && selections.supplierName.value) {
+        match.fingerprints.push(escapeTemplateRegExp(selections.supplierName.value.trim()).replace(/\s+/g, '\\s+'));
+    }
+    if (match.vatIds.length === 0 && match.fingerprints.length === 0) {
+        return { template: null, warnings: ['Pick the supplier VAT ID or the supplier name so the template can recognise future invoices.'] };
+    }
+    
+    const template = {
+        id: makeTemplateId(supplierName || (selections.supplierName || {}).value || match.vatIds[0]),
+        supplierName: supplierName || (selections.supplierName || {}).value || match.vatIds[0],
+        match: match,
+        fields: {},
+        source: 'trainer'
+    };
+    
+    Object.entries(selections).forEach(([field, selection]) => {
+        if (field === 'supplierName' || field === 'supplierVatId' || !selection || !selection.value) return;
+        
+        const pattern = buildFieldPattern(field, selection);
+        if (!pattern) {
+            warnings.push(`${TRAINABLE_TEMPLATE_FIELDS[field].label}: no label text found next to "${selection.value}", field skipped.`);
+            return;
+        }
+        
+        // Verify the pattern finds the picked value in the training document
+        if (fullText) {
+            const found = fullText.match(new RegExp(pattern, field === 'total' ? 'im' : 'i'));
+            if (!found || found[1] !== selection.value) {
+                warnings.push(`${TRAINABLE_TEMPLATE_FIELDS[field].label}: pattern finds "${found ? found[1] : 'nothing'}" instead of "${selection.value}".`);
+            }
+        }
+        
+        if (field === 'total') {
+            template.total = { patterns: [pattern], pick: 'last' };
+        } else {
+            template.fields[field] = [pattern];
+        }
+    });
+    
+    return { template, warnings };
+}
+
+// ===== TEMPLATE HELPERS =====
+
+/**
+ * Convert a template pattern (RegExp or string) to a RegExp
+ * @param {RegExp|string} pattern - Pattern from a template
+ * @param {string} flags - Flags used for string patterns
+ * @returns {RegExp} Compiled regular expression
+ */
+function toTemplateRegExp(pattern, flags = 'i') {
+    if (pattern instanceof RegExp) return pattern;
+    return new RegExp(String(pattern), flags);
+}
+
+/**
+ * Normalize a VAT ID for comparison (uppercase, no spaces or dots)
+ * @param {string} vatId - Raw VAT ID
+ * @returns {string} Normalized VAT ID
+ */
+function normalizeVatId(vatId) {
+    return String(vatId || '').toUpperCase().replace(/[\s.\-]/g, '');
+}
+
+/**
+ * Escape text for literal use inside a regex pattern
+ * @param {string} text - Literal text
+ * @returns {string} Escaped pattern
+ */
+function escapeTemplateRegExp(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Create a template id from a supplier name
+ * @param {string} name - Supplier name
+ * @returns {string} Template id (e.g. "acme-gmbh")
+ */
+function makeTemplateId(name) {
+    const slug = String(name || 'supplier').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    return slug || 'supplier';
+}
+
+// ===== EXPORT FOR MODULE USAGE =====
+
+// If using as a module, export functions
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        registerSupplierTemplate,
+        unregisterSupplierTemplate,
+        getSupplierTemplates,
+        findSupplierTemplate,
+        toTemplateRegExp,
+        normalizeVatId,
+        getSavedSupplierTemplates,
+        loadSavedSupplierTemplates,
+        saveSupplierTemplate,
+        deleteSupplierTemplate,
+        guessFieldValue,
+        buildFieldPattern,
+        buildTemplateFromSelections,
+        escapeTemplateRegExp,
+        makeTemplateId,
+        SUPPLIER_TEMPLATE_FIELDS,
+        LINE_ITEM_TEMPLATE_GROUPS,
+        TRAINABLE_TEMPLATE_FIELDS,
+        SUPPLIER_TEMPLATES_STORAGE_KEY
+    };
+}
+
+// Global availability for browser usage
+if (typeof window !== 'undefined') {
+    // Templates saved by the field-mapping trainer apply to every page that extracts invoices
+    const savedCount = loadSavedSupplierTemplates();
+    console.log(`I2E Supplier Templates loaded successfully (${savedCount} saved templates)`);
+}
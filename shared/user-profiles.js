@@ -0,0 +1,515 @@
+/**
+ * I2E User Profiles
+ * Local user profiles (name, email, role) chosen at startup, the identity recorded with every
+ * invoice decision and audit event, and the role checks that gate approving, rejecting, editing
+ * and clearing the cache
+ *
+ * @version 1.0
+ * @author I2E Development Team
+ * @requires i2e-common.js for localStorage helpers
+ */
+
+// ===== PROFILE CONFIGURATION =====
+
+/**
+ * Profile format:
+ * {
+ *     id: 'user-m8k2x1-ab3f',
+ *     name: 'Jane Doe',
+ *     email: 'jane.doe@example.com',
+ *     role: 'approver'                  // Key of USER_ROLES
+ * }
+ *
+ * Profiles are kept in this browser only; they say who works at the desk, they are not a login.
+ * The first profile created is an admin, and only admins add, remove or change the role of profiles.
+ */
+
+// What each role may do
+const USER_ROLES = {
+    reviewer: {
+        label: 'Reviewer',
+        permissions: ['edit']
+    },
+    approver: {
+        label: 'Approver',
+        permissions: ['edit', 'approve', 'reject']
+    },
+    admin: {
+        label: 'Admin',
+        permissions: ['edit', 'approve', 'reject', 'clearCache', 'manageSettings']
+    }
+};
+
+// Actions gated by a permission, for messages
+const USER_PERMISSIONS = {
+    edit: 'edit invoices',
+    approve: 'approve invoices',
+    reject: 'reject invoices',
+    clearCache: 'clear the cache',
+    manageSettings: 'change settings and user profiles'
+};
+
+// localStorage keys: the profiles, and the preferences that hold the active profile
+const USER_PROFILES_STORAGE_KEY = 'i2e_user_profiles';
+const USER_PREFERENCES_STORAGE_KEY = 'i2e_user_preferences';
+
+let userProfiles = null;
+
+// ===== PROFILES =====
+
+/**
+ * Get the profiles of this browser
+ * @returns {Array} Profiles { id, name, email, role }
+ */
+function getUserProfiles() {
+    if (!userProfiles) {
+        const saved = typeof localStorage !== 'undefined' && typeof loadFromLocalStorage === 'function'
+            ? loadFromLocalStorage(USER_PROFILES_STORAGE_KEY, [])
+            : [];
+        userProfiles = Array.isArray(saved) ? saved : [];
+    }
+    return userProfiles;
+}
+
+/**
+ * Check profiles for missing names, invalid emails and roles, and duplicates
+ * @param {Array} profiles - Profiles to check
+ * @returns {Array<string>} Error messages, empty when the profiles are valid
+ */
+function validateUserProfiles(profiles) {
+    const errors = [];
+
+    if (profiles.length > 0 && !profiles.some(profile => profile.role === 'admin')) {
+        errors.push('At least one profile must be an admin');
+    }
+
+    profiles.forEach((profile, index) => {
+        const label = `Profile ${index + 1}${profile.name ? ` (${profile.name})` : ''}`;
+        if (!profile.name || !profile.name.trim()) {
+            errors.push(`${label}: name is required`);
+        }
+        if (!profile.email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(profile.email)) {
+            errors.push(`${label}: email must look like name@example.com`);
+        } else if (profiles.findIndex(other => (other.email || '').toLowerCase() === profile.email.toLowerCase()) !== index) {
+            errors.push(`${label}: email ${profile.email} is used twice`);
+        }
+        if (!USER_ROLES[profile.role]) {
+            errors.push(`${label}: unknown role "${profile.role}"`);
+        }
+        if (!profile.id) {
+            errors.push(`${label}: id is required`);
+        } else if (profiles.findIndex(other => other.id === profile.id) !== index) {
+            errors.push(`${label}: id "${profile.id}" is used twice`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Save the profiles; the active profile is dropped when it was removed
+ * @param {Array} profiles - Profiles
+ * @returns {boolean} True if the profiles were valid and saved
+ */
+function saveUserProfiles(profiles) {
+    const errors = validateUserProfiles(profiles);
+    if (errors.length > 0) {
+        console.error('saveUserProfiles: Invalid profiles', errors);
+        return false;
+    }
+
+    userProfiles = profiles;
+    const active = getUserPreferences().activeProfileId;
+    if (active && !profiles.some(profile => profile.id === active)) {
+        setActiveUserProfile(null);
+    }
+    return saveToLocalStorage(USER_PROFILES_STORAGE_KEY, profiles);
+}
+
+/**
+ * Create an id for a new profile
+ * @returns {string} Profile id
+ */
+function makeUserProfileId() {
+    return `user-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// ===== ACTIVE PROFILE =====
+
+/**
+ * Read the user preferences
+ * @returns {Object} Preferences, empty when none were saved
+ */
+function getUserPreferences() {
+    try {
+        return JSON.parse(localStorage.getItem(USER_PREFERENCES_STORAGE_KEY) || '{}') || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Get the profile of the user working in this browser
+ * @returns {Object|null} Active profile, null when none was chosen
+ */
+function getActiveUserProfile() {
+    const active = getUserPreferences().activeProfileId;
+    return (active && getUserProfiles().find(profile => profile.id === active)) || null;
+}
+
+/**
+ * Make a profile the active one (stored in the user preferences, next to the other preferences)
+ * @param {string|null} profileId - Profile to use, null to sign out
+ * @returns {boolean} True if the preferences were saved
+ */
+function setActiveUserProfile(profileId) {
+    if (profileId && !getUserProfiles().some(profile => profile.id === profileId)) {
+        console.error(`setActiveUserProfile: Unknown profile "${profileId}"`);
+        return false;
+    }
+
+    const preferences = getUserPreferences();
+    if (profileId) {
+        preferences.activeProfileId = profileId;
+    } else {
+        delete preferences.activeProfileId;
+    }
+    return saveToLocalStorage(USER_PREFERENCES_STORAGE_KEY, preferences);
+}
+
+/**
+ * Identity of a profile as recorded with decisions and audit events
+ * @param {Object} profile - Profile
+ * @returns {string} "Name <email>"
+ */
+function formatUserIdentity(profile) {
+    return `${profile.name.trim()} <${profile.email.trim()}>`;
+}
+
+/**
+ * Get the identity of the user working in this browser. Without a profile this is the Windows user id
+ * set in the preferences by earlier versions, else "unknown-user".
+ * @returns {string} User identity
+ */
+function getCurrentUserId() {
+    const profile = getActiveUserProfile();
+    if (profile) {
+        return formatUserIdentity(profile);
+    }
+    return getUserPreferences().windowsUserId || 'unknown-user';
+}
+
+// ===== ROLE CHECKS =====
+
+/**
+ * Check whether the active profile may do something
+ * @param {string} permission - Key of USER_PERMISSIONS
+ * @returns {boolean} True if the active profile's role has the permission
+ */
+function hasUserPermission(permission) {
+    const profile = getActiveUserProfile();
+    return !!profile && !!USER_ROLES[profile.role] && USER_ROLES[profile.role].permissions.includes(permission);
+}
+
+/**
+ * Check a permission before an action and tell the user when it is missing
+ * (without an active profile, the profile picker is opened)
+ * @param {string} permission - Key of USER_PERMISSIONS
+ * @returns {boolean} True if the action may go ahead
+ */
+function requireUserPermission(permission) {
+    if (hasUserPermission(permission)) return true;
+
+    const profile = getActiveUserProfile();
+    if (!profile) {
+        alert(`Choose your user profile to ${USER_PERMISSIONS[permission] || permission}.`);
+        showUserProfilePicker();
+        return false;
+    }
+
+    const allowedRoles = Object.values(USER_ROLES)
+        .filter(role => role.permissions.includes(permission))
+        .map(role => role.label);
+    alert(`${profile.name} (${USER_ROLES[profile.role] ? USER_ROLES[profile.role].label : profile.role}) may not ${USER_PERMISSIONS[permission] || permission}.\n\nThis needs the role ${allowedRoles.join(' or ')}.`);
+    return false;
+}
+
+// ===== PROFILE PICKER =====
+
+/**
+ * Show the active profile in the page header and ask for a profile when none is active.
+ * Called by each page at startup.
+ * @param {string} containerId - Optional container ID (defaults to the .header element)
+ */
+function initializeUserProfile(containerId = null) {
+    const header = document.querySelector(containerId ? `#${containerId}` : '.header');
+    if (header && !header.querySelector('.user-profile-badge')) {
+        if (getComputedStyle(header).position === 'static') {
+            header.style.position = 'relative';
+        }
+
+        const badge = document.createElement('div');
+        badge.className = 'user-profile-badge';
+        badge.onclick = showUserProfilePicker;
+        badge.style.cssText = `
+            position: absolute;
+            top: 18px;
+            left: 70px;
+            cursor: pointer;
+            color: white;
+            font-size: 0.85rem;
+            background: rgba(255,255,255,0.2);
+            border-radius: 12px;
+            padding: 4px 10px;
+            z-index: 1100;
+        `;
+        header.appendChild(badge);
+    }
+    updateUserProfileBadge();
+
+    if (!getActiveUserProfile()) {
+        showUserProfilePicker();
+    }
+}
+
+/**
+ * Update the header badge with the active profile
+ */
+function updateUserProfileBadge() {
+    document.querySelectorAll('.user-profile-badge').forEach(badge => {
+        const profile = getActiveUserProfile();
+        badge.textContent = profile
+            ? `👤 ${profile.name} · ${USER_ROLES[profile.role] ? USER_ROLES[profile.role].label : profile.role}`
+            : '👤 Choose profile';
+        badge.title = profile ? `${formatUserIdentity(profile)} - click to switch profile` : 'Choose your user profile';
+    });
+}
+
+/**
+ * Open the profile picker
+ */
+function showUserProfilePicker() {
+    let modal = document.getElementById('userProfileModal');
+    if (!modal) {
+        modal = document.createElement('div');
+        modal.id = 'userProfileModal';
+        document.body.appendChild(modal);
+    }
+    modal.style.display = 'block';
+    renderUserProfilePicker();
+}
+
+/**
+ * Close the profile picker; it stays open while no profile is active
+ */
+function closeUserProfilePicker() {
+    if (!getActiveUserProfile()) return;
+
+    const modal = document.getElementById('userProfileModal');
+    if (modal) modal.style.display = 'none';
+}
+
+/**
+ * Render the profile list and, for admins (or before any profile exists), the new profile form
+ * @param {Array<string>} errors - Messages shown above the form
+ */
+function renderUserProfilePicker(errors = []) {
+    const modal = document.getElementById('userProfileModal');
+    if (!modal) return;
+
+    const profiles = getUserProfiles();
+    const active = getActiveUserProfile();
+    const canManage = profiles.length === 0 || hasUserPermission('manageSettings');
+    const escape = value => String(value ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+    const roleLabel = role => USER_ROLES[role] ? USER_ROLES[role].label : role;
+
+    const rows = profiles.map(profile => `
+        <tr style="border-bottom: 1px solid #e5e7eb;${active && active.id === profile.id ? ' background: #eff6ff;' : ''}">
+            <td style="padding: 8px;">${escape(profile.name)}</td>
+            <td style="padding: 8px;">${escape(profile.email)}</td>
+            <td style="padding: 8px;">
+                ${canManage
+                    ? `<select onchange="changeUserProfileRole('${profile.id}', this.value)">
+                           ${Object.keys(USER_ROLES).map(role => `<option value="${role}"${role === profile.role ? ' selected' : ''}>${roleLabel(role)}</option>`).join('')}
+                       </select>`
+                    : escape(roleLabel(profile.role))}
+            </td>
+            <td style="padding: 8px; white-space: nowrap;">
+                ${active && active.id === profile.id
+                    ? '<strong>✓ Active</strong>'
+                    : `<button onclick="selectUserProfile('${profile.id}')" style="background: #3b82f6; color: white; border: none; border-radius: 4px; padding: 4px 10px; cursor: pointer;">Use</button>`}
+                ${canManage && !(active && active.id === profile.id)
+                    ? `<button onclick="removeUserProfile('${profile.id}')" style="background: #ef4444; color: white; border: none; border-radius: 4px; padding: 4px 10px; cursor: pointer;">Remove</button>`
+                    : ''}
+            </td>
+        </tr>
+    `).join('');
+
+    modal.innerHTML = `
+        <div style="position: fixed; top: 0; left: 0; width: 100%; height: 100%;
+                   background: rgba(0,0,0,0.6); z-index: 10001;"
+             onclick="closeUserProfilePicker()">
+            <div style="position: relative; margin: 8% auto 0; width: 640px; max-width: 92%;
+                       background: white; border-radius: 8px; padding: 20px; color: #1f2937;
+                       box-shadow: 0 4px 20px rgba(0,0,0,0.3);"
+                 onclick="event.stopPropagation()">
+                <div style="display: flex; justify-content: space-between; align-items: center;
+                           margin-bottom: 15px; border-bottom: 2px solid #e5e7eb; padding-bottom: 10px;">
+                    <h2 style="margin: 0;">👤 User Profile</h2>
+                    ${active
+                        ? `<button onclick="closeUserProfilePicker()" style="background: #6b7280; color: white; border: none; border-radius: 4px; padding: 8px 16px; cursor: pointer;">✕ Close</button>`
+                        : ''}
+                </div>
+                <p style="margin: 0 0 15px; color: #4b5563;">
+                    ${profiles.length === 0
+                        ? 'Create your profile to start. The first profile is an admin; admins add the profiles of the other users.'
+                        : 'Choose who is working in this browser. Your name and email are recorded with every decision and in the audit log.'}
+                </p>
+                ${profiles.length > 0 ? `
+                    <table style="width: 100%; border-collapse: collapse; margin-bottom: 15px; font-size: 0.9rem;">
+                        <thead>
+                            <tr style="background: #f3f4f6; text-align: left;">
+                                <th style="padding: 8px;">Name</th>
+                                <th style="padding: 8px;">Email</th>
+                                <th style="padding: 8px;">Role</th>
+                                <th style="padding: 8px;"></th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                ` : ''}
+                ${errors.length > 0 ? `
+                    <div style="background: #fee2e2; color: #991b1b; padding: 10px; border-radius: 4px; margin-bottom: 15px;">
+                        ${errors.map(escape).join('<br>')}
+                    </div>
+                ` : ''}
+                ${canManage ? `
+                    <div style="background: #f9fafb; padding: 12px; border-radius: 6px; display: flex; gap: 8px; flex-wrap: wrap; align-items: center;">
+                        <input id="userProfileName" type="text" placeholder="Name" style="flex: 1; padding: 6px;">
+                        <input id="userProfileEmail" type="email" placeholder="Email" style="flex: 1; padding: 6px;">
+                        <select id="userProfileRole" style="padding: 6px;"${profiles.length === 0 ? ' disabled' : ''}>
+                            ${Object.keys(USER_ROLES).map(role => `<option value="${role}"${(profiles.length === 0 ? role === 'admin' : role === 'reviewer') ? ' selected' : ''}>${roleLabel(role)}</option>`).join('')}
+                        </select>
+                        <button onclick="addUserProfile()" style="background: #10b981; color: white; border: none; border-radius: 4px; padding: 6px 14px; cursor: pointer;">
+                            ➕ ${profiles.length === 0 ? 'Create profile' : 'Add profile'}
+                        </button>
+                    </div>
+                ` : `
+                    <p style="margin: 0; font-size: 0.85rem; color: #6b7280;">Ask an admin to add a profile or change your role.</p>
+                `}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Use a profile from the picker
+ * @param {string} profileId - Profile to use
+ */
+function selectUserProfile(profileId) {
+    if (!setActiveUserProfile(profileId)) return;
+
+    updateUserProfileBadge();
+    closeUserProfilePicker();
+    logInfo(`👤 Working as ${getCurrentUserId()}`);
+}
+
+/**
+ * Add the profile entered in the picker; the first profile is an admin and becomes the active one
+ */
+function addUserProfile() {
+    const profiles = getUserProfiles();
+    if (profiles.length > 0 && !requireUserPermission('manageSettings')) return;
+
+    const profile = {
+        id: makeUserProfileId(),
+        name: document.getElementById('userProfileName').value.trim(),
+        email: document.getElementById('userProfileEmail').value.trim(),
+        role: profiles.length === 0 ? 'admin' : document.getElementById('userProfileRole').value
+    };
+    const updated = [...profiles, profile];
+    const errors = validateUserProfiles(updated);
+    if (errors.length > 0 || !saveUserProfiles(updated)) {
+        renderUserProfilePicker(errors.length > 0 ? errors : ['The profile could not be saved']);
+        return;
+    }
+
+    if (profiles.length === 0) {
+        selectUserProfile(profile.id);
+        return;
+    }
+    renderUserProfilePicker();
+}
+
+/**
+ * Change the role of a profile (admins only)
+ * @param {string} profileId - Profile to change
+ * @param {string} role - Key of USER_ROLES
+ */
+function changeUserProfileRole(profileId, role) {
+    if (!requireUserPermission('manageSettings')) {
+        renderUserProfilePicker();
+        return;
+    }
+
+    const updated = getUserProfiles().map(profile => profile.id === profileId ? { ...profile, role: role } : profile);
+    const errors = validateUserProfiles(updated);
+    if (errors.length === 0) {
+        saveUserProfiles(updated);
+        updateUserProfileBadge();
+    }
+    renderUserProfilePicker(errors);
+}
+
+/**
+ * Remove a profile (admins only; the active profile cannot be removed)
+ * @param {string} profileId - Profile to remove
+ */
+function removeUserProfile(profileId) {
+    if (!requireUserPermission('manageSettings')) return;
+
+    const profile = getUserProfiles().find(other => other.id === profileId);
+    if (!profile || !confirm(`Remove the profile of ${profile.name}?\n\nDecisions already recorded keep their name.`)) return;
+
+    const updated = getUserProfiles().filter(other => other.id !== profileId);
+    const errors = validateUserProfiles(updated);
+    if (errors.length === 0) {
+        saveUserProfiles(updated);
+    }
+    renderUserProfilePicker(errors);
+}
+
+// ===== EXPORT FOR MODULE USAGE =====
+
+// If using as a module, export functions
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getUserProfiles,
+        validateUserProfiles,
+        saveUserProfiles,
+        makeUserProfileId,
+        getActiveUserProfile,
+        setActiveUserProfile,
+        formatUserIdentity,
+        getCurrentUserId,
+        hasUserPermission,
+        requireUserPermission,
+        initializeUserProfile,
+        USER_ROLES,
+        USER_PERMISSIONS,
+        USER_PROFILES_STORAGE_KEY
+    };
+}
+
+// Global availability for browser usage
+if (typeof window !== 'undefined') {
+    window.initializeUserProfile = initializeUserProfile;
+    window.showUserProfilePicker = showUserProfilePicker;
+    window.closeUserProfilePicker = closeUserProfilePicker;
+    window.selectUserProfile = selectUserProfile;
+    window.addUserProfile = addUserProfile;
+    window.changeUserProfileRole = changeUserProfileRole;
+    window.removeUserProfile = removeUserProfile;
+
+    console.log(`I2E User Profiles loaded successfully (${getUserProfiles().length} profiles)`);
+}
@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+/**
+ * I2E Golden-File Tests
+ * Runs the extractor over saved page texts and the DEMO PDFs and compares the line items with
+ * stored expected JSON, field by field
+ *
+ * Usage: node test/golden/run-golden-tests.js [--update] [--verbose] [case name filter]
+ *
+ * Cases:
+ *   test/golden/pages/<name>.txt            Saved page texts, pages separated by a form feed (\f)
+ *   test/golden/pages/<name>.options.json   Optional extractInvoiceData options, e.g. { "locale": "en-GB" }
+ *   test/golden/xml/<name>.xml              UBL / CII e-invoices, read like an uploaded XML file
+ *   DEMO/*.pdf                              Demo invoices, read with pdf.js like in the browser
+ * Expected output: test/golden/expected/<case file name>.json
+ *
+ * @version 1.0
+ * @author I2E Development Team
+ * @requires Node.js 18+, pdfjs-dist 3.11.174, @xmldom/xmldom (see README, Command Line)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { setUpEnvironment, redirectConsole, createInvoiceFile } = require('../../cli/i2e-extract.js');
+
+// ===== CONFIGURATION =====
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+const PAGES_DIR = path.join(__dirname, 'pages');
+const XML_DIR = path.join(__dirname, 'xml');
+const EXPECTED_DIR = path.join(__dirname, 'expected');
+const DEMO_DIR = path.join(ROOT_DIR, 'DEMO');
+
+const PAGE_SEPARATOR = '\f';
+
+// ===== CASES =====
+
+/**
+ * Collect the test cases
+ * @param {string|null} filter - Only cases whose name contains this text
+ * @returns {Array<Object>} { name, type: 'pages'|'xml'|'pdf', filePath }
+ */
+function collectCases(filter) {
+    const listFiles = (dir, pattern) => fs.existsSync(dir)
+        ? fs.readdirSync(dir).filter(name => pattern.test(name)).sort().map(name => path.join(dir, name))
+        : [];
+
+    const cases = [
+        ...listFiles(PAGES_DIR, /\.txt$/i).map(filePath => ({ type: 'pages', filePath: filePath })),
+        ...listFiles(XML_DIR, /\.xml$/i).map(filePath => ({ type: 'xml', filePath: filePath })),
+        ...listFiles(DEMO_DIR, /\.pdf$/i).map(filePath => ({ type: 'pdf', filePath: filePath }))
+    ].map(testCase => ({ ...testCase, name: path.basename(testCase.filePath) }));
+
+    return filter ? cases.filter(testCase => testCase.name.includes(filter)) : cases;
+}
+
+/**
+ * Run the extractor for a case
+ * @param {Object} testCase - Case from collectCases
+ * @returns {Promise<Array>} Extracted line items
+ */
+async function extractCase(testCase) {
+    if (testCase.type === 'pdf') {
+        return extractDataFromPDF(createInvoiceFile(testCase.filePath));
+    }
+    if (testCase.type === 'xml') {
+        return extractDataFromInvoiceFile(createInvoiceFile(testCase.filePath));
+    }
+
+    const pageTexts = fs.readFileSync(testCase.filePath, 'utf8').split(PAGE_SEPARATOR);
+    const optionsPath = testCase.filePath.replace(/\.txt$/i, '.options.json');
+    const options = fs.existsSync(optionsPath) ? JSON.parse(fs.readFileSync(optionsPath, 'utf8')) : {};
+
+    return extractInvoicesFromPages(pageTexts, testCase.name, [], options);
+}
+
+/**
+ * Make extractor output comparable: plain JSON without provenance source descriptions
+ * (they quote the matching regex, so every pattern edit would change them) and without the
+ * extraction diagnostics (they explain the output rather than being part of it)
+ * @param {Array} lineItems - Extracted line items
+ * @returns {Array} Normalized line items
+ */
+function normalizeOutput(lineItems) {
+    const items = JSON.parse(JSON.stringify(lineItems));
+    items.forEach(item => {
+        delete item.diagnostics;
+        Object.values(item.provenance || {}).forEach(entry => {
+            if (entry) delete entry.source;
+        });
+    });
+    return items;
+}
+
+// ===== COMPARISON =====
+
+/**
+ * Compare two values and collect the differing field paths
+ * @param {*} expected - Expected value
+ * @param {*} actual - Actual value
+ * @param {string} fieldPath - Path of the value, e.g. "provenance.invoiceNumber.page"
+ * @param {Array<Object>} differences - Collected { field, expected, actual }
+ */
+function diffValues(expected, actual, fieldPath, differences) {
+    const isObject = value => value !== null && typeof value === 'object';
+
+    if (isObject(expected) && isObject(actual) && Array.isArray(expected) === Array.isArray(actual)) {
+        const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+        keys.forEach(key => {
+            diffValues(expected[key], actual[key], fieldPath ? `${fieldPath}.${key}` : key, differences);
+        });
+        return;
+    }
+
+    if (JSON.stringify(expected) !== JSON.stringify(actual)) {
+        differences.push({ field: fieldPath, expected: expected, actual: actual });
+    }
+}
+
+/**
+ * Compare extracted line items with the expected ones
+ * @param {Array} expectedItems - Stored line items
+ * @param {Array} actualItems - Extracted line items
+ * @returns {Array<string>} Regression descriptions, empty when the output matches
+ */
+function compareLineItems(expectedItems, actualItems) {
+    const regressions = [];
+    const describeItem = (index, item) => `item ${index + 1} (${item.invoiceNumber || 'no invoice number'} / position ${item.position || '-'})`;
+    const format = value => value === undefined ? 'missing' : JSON.stringify(value);
+
+    if (expectedItems.length !== actualItems.length) {
+        regressions.push(`line item count: expected ${expectedItems.length}, got ${actualItems.length}`);
+    }
+
+    const count = Math.max(expectedItems.length, actualItems.length);
+    for (let index = 0; index < count; index++) {
+        const expected = expectedItems[index];
+        const actual = actualItems[index];
+
+        if (!actual) {
+            regressions.push(`${describeItem(index, expected)}: missing`);
+            continue;
+        }
+        if (!expected) {
+            regressions.push(`${describeItem(index, actual)}: unexpected extra line item`);
+            continue;
+        }
+
+        const differences = [];
+        diffValues(expected, actual, '', differences);
+        differences.forEach(difference => {
+            regressions.push(`${describeItem(index, expected)} ${difference.field}: expected ${format(difference.expected)}, got ${format(difference.actual)}`);
+        });
+    }
+
+    return regressions;
+}
+
+/**
+ * Check extractor output for contradictions between fields, so --update cannot store them as expected
+ * @param {Array} lineItems - Extracted line items
+ * @returns {Array<string>} Contradictions, empty when the output is consistent
+ */
+function checkConsistency(lineItems) {
+    const problems = [];
+
+    lineItems.forEach((item, index) => {
+        const describeItem = `item ${index + 1} (${item.invoiceNumber || 'no invoice number'} / position ${item.position || '-'})`;
+
+        // The period label names months of the range: "March 2025" or "January 2024 - March 2024"
+        if (item.servicePeriodRange && item.serviceProvisionPeriod && item.serviceProvisionPeriod !== 'Unknown Period') {
+            const rangeMonths = getServicePeriodMonths(item.servicePeriodRange).map(month => month.label);
+            const labelMonths = item.serviceProvisionPeriod.split(' - ');
+            if (!labelMonths.every(month => rangeMonths.includes(month))) {
+                problems.push(`${describeItem}: serviceProvisionPeriod "${item.serviceProvisionPeriod}" lies outside servicePeriodRange ${item.servicePeriodRange.start}..${item.servicePeriodRange.end}`);
+            }
+        }
+
+        // The invoice total is the gross amount, whether it was read from a PDF or an XML invoice
+        if (typeof item.extractedInvoiceTotal === 'number' && typeof item.grossAmount === 'number' &&
+            Math.abs(item.extractedInvoiceTotal - item.grossAmount) > 0.01) {
+            problems.push(`${describeItem}: extractedInvoiceTotal ${item.extractedInvoiceTotal} is not the grossAmount ${item.grossAmount}`);
+        }
+    });
+
+    return problems;
+}
+
+// ===== MAIN =====
+
+/**
+ * Run all cases
+ * @param {Array<string>} args - process.argv without node and script
+ * @returns {Promise<number>} Exit code: 0 when all cases match, 1 otherwise
+ */
+async function main(args) {
+    const update = args.includes('--update');
+    const verbose = args.includes('--verbose');
+    const filter = args.find(arg => !arg.startsWith('--')) || null;
+
+    const write = text => process.stdout.write(text + '\n');
+    const cases = collectCases(filter);
+
+    redirectConsole(verbose);
+    setUpEnvironment({
+        pdf: cases.some(testCase => testCase.type === 'pdf'),
+        xml: cases.some(testCase => testCase.type === 'xml'),
+        excel: false
+    });
+
+    let failedCount = 0;
+    let regressionCount = 0;
+
+    for (const testCase of cases) {
+        const expectedPath = path.join(EXPECTED_DIR, `${testCase.name}.json`);
+        let actual;
+
+        try {
+            actual = normalizeOutput(await extractCase(testCase));
+        } catch (error) {
+            failedCount++;
+            write(`✗ ${testCase.name}: extraction failed - ${error.message}`);
+            continue;
+        }
+
+        const contradictions = checkConsistency(actual);
+        if (contradictions.length > 0) {
+            failedCount++;
+            regressionCount += contradictions.length;
+            write(`✗ ${testCase.name}: inconsistent output${update ? ', expected output not written' : ''}`);
+            contradictions.forEach(contradiction => write(`    ${contradiction}`));
+            continue;
+        }
+
+        if (update) {
+            fs.mkdirSync(EXPECTED_DIR, { recursive: true });
+            fs.writeFileSync(expectedPath, JSON.stringify(actual, null, 2) + '\n');
+            write(`✎ ${testCase.name}: expected output written (${actual.length} line items)`);
+            continue;
+        }
+
+        if (!fs.existsSync(expectedPath)) {
+            failedCount++;
+            write(`✗ ${testCase.name}: no expected output - run with --update to create ${path.relative(ROOT_DIR, expectedPath)}`);
+            continue;
+        }
+
+        const regressions = compareLineItems(JSON.parse(fs.readFileSync(expectedPath, 'utf8')), actual);
+        if (regressions.length === 0) {
+            write(`✓ ${testCase.name} (${actual.length} line items)`);
+        } else {
+            failedCount++;
+            regressionCount += regressions.length;
+            write(`✗ ${testCase.name}`);
+            regressions.forEach(regression => write(`    ${regression}`));
+        }
+    }
+
+    if (update) {
+        write(`\nUpdated ${cases.length - failedCount} of ${cases.length} expected outputs.`);
+    } else if (failedCount > 0) {
+        write(`\n${failedCount} of ${cases.length} cases failed (${regressionCount} field differences). ` +
+            'If the new output is correct, accept it with --update and commit the expected files.');
+    } else {
+        write(`\nAll ${cases.length} cases match.`);
+    }
+
+    return failedCount > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(exitCode => {
+        process.exitCode = exitCode;
+    }, error => {
+        process.stderr.write(`${error.stack || error.message}\n`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { main, collectCases, normalizeOutput, compareLineItems, checkConsistency };